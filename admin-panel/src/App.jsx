@@ -4,6 +4,8 @@ import Login from './pages/Login'
 import Dashboard from './pages/Dashboard'
 import Users from './pages/Users'
 import Alerts from './pages/Alerts'
+import PlaybackSettings from './pages/PlaybackSettings'
+import QualityProfiles from './pages/QualityProfiles'
 import Layout from './components/Layout'
 import { getToken } from './services/auth'
 
@@ -30,6 +32,8 @@ function App() {
         <Route index element={<Dashboard />} />
         <Route path="users" element={<Users />} />
         <Route path="alerts" element={<Alerts />} />
+        <Route path="playback-settings" element={<PlaybackSettings />} />
+        <Route path="quality-profiles" element={<QualityProfiles />} />
       </Route>
       <Route path="*" element={<Navigate to="/" replace />} />
     </Routes>
@@ -12,7 +12,9 @@ function Layout({ onLogout }) {
   const navItems = [
     { path: '/', label: 'Dashboard' },
     { path: '/users', label: 'Users' },
-    { path: '/alerts', label: 'RD Alerts' }
+    { path: '/alerts', label: 'RD Alerts' },
+    { path: '/playback-settings', label: 'Playback' },
+    { path: '/quality-profiles', label: 'Quality' }
   ]
 
   return (
@@ -0,0 +1,279 @@
+import { useState, useEffect } from 'react'
+import { settingsApi, usersApi } from '../services/api'
+
+const SETTING_LABELS = {
+  stutterBufferLowThreshold: {
+    label: 'Buffer events',
+    help: 'Buffering events in the window before a fallback is considered'
+  },
+  stutterConsecutiveThreshold: {
+    label: 'Consecutive events',
+    help: 'Back-to-back buffering events that trigger a lower-quality fallback'
+  },
+  stutterTimeWindowMs: {
+    label: 'Time window (ms)',
+    help: 'How far back buffering events are counted'
+  }
+}
+
+function PlaybackSettings() {
+  const [definitions, setDefinitions] = useState({})
+  const [globalValues, setGlobalValues] = useState({})
+  const [overrides, setOverrides] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [showOverrideModal, setShowOverrideModal] = useState(false)
+
+  useEffect(() => {
+    loadSettings()
+  }, [])
+
+  const loadSettings = async () => {
+    try {
+      const { data } = await settingsApi.getPlayback()
+      setDefinitions(data.definitions)
+      setGlobalValues(data.global)
+      setOverrides(data.overrides)
+    } catch (error) {
+      console.error('Failed to load playback settings:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+
+    try {
+      const { data } = await settingsApi.updatePlayback(globalValues)
+      setGlobalValues(data.global)
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to save settings')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleResetDefaults = () => {
+    setGlobalValues(Object.fromEntries(
+      Object.entries(definitions).map(([key, def]) => [key, def.default])
+    ))
+  }
+
+  const handleClearOverride = async (userId) => {
+    if (!confirm('Remove all overrides for this user?')) return
+
+    try {
+      await settingsApi.clearUserPlayback(userId)
+      loadSettings()
+    } catch (error) {
+      alert('Failed to remove overrides')
+    }
+  }
+
+  if (loading) {
+    return <div className="text-center py-12">Loading...</div>
+  }
+
+  return (
+    <div>
+      <h2 className="text-3xl font-bold mb-8">Playback Settings</h2>
+
+      <div className="bg-slate-800 rounded-lg p-8 mb-8">
+        <h3 className="text-xl font-semibold mb-2">Stutter Detection</h3>
+        <p className="text-slate-400 mb-6">
+          Applies to all users. Clients pick up changes the next time they start playback.
+        </p>
+        <form onSubmit={handleSave} className="space-y-4 max-w-xl">
+          {Object.entries(definitions).map(([key, def]) => (
+            <SettingInput
+              key={key}
+              settingKey={key}
+              definition={def}
+              value={globalValues[key]}
+              onChange={value => setGlobalValues({...globalValues, [key]: value})}
+            />
+          ))}
+          <div className="flex space-x-4 pt-4">
+            <button
+              type="button"
+              onClick={handleResetDefaults}
+              className="px-6 py-2 bg-slate-700 rounded-lg"
+            >
+              Reset to Defaults
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-6 py-2 bg-primary hover:bg-primary-dark rounded-lg transition"
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-semibold">Per-User Overrides</h3>
+        <button
+          onClick={() => setShowOverrideModal(true)}
+          className="px-6 py-3 bg-primary hover:bg-primary-dark rounded-lg transition"
+        >
+          Add Override
+        </button>
+      </div>
+
+      {overrides.length === 0 ? (
+        <div className="bg-slate-800 rounded-lg p-12 text-center">
+          <p className="text-slate-400">No per-user overrides</p>
+        </div>
+      ) : (
+        <div className="bg-slate-800 rounded-lg overflow-hidden">
+          <table className="w-full">
+            <thead className="bg-slate-700">
+              <tr>
+                <th className="px-6 py-4 text-left">User</th>
+                {Object.keys(definitions).map(key => (
+                  <th key={key} className="px-6 py-4 text-left">{SETTING_LABELS[key]?.label || key}</th>
+                ))}
+                <th className="px-6 py-4 text-left">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-700">
+              {overrides.map(override => (
+                <tr key={override.userId} className="hover:bg-slate-700/50">
+                  <td className="px-6 py-4">{override.username || `User ${override.userId}`}</td>
+                  {Object.keys(definitions).map(key => (
+                    <td key={key} className="px-6 py-4">
+                      {override.settings[key] ?? <span className="text-slate-500">—</span>}
+                    </td>
+                  ))}
+                  <td className="px-6 py-4">
+                    <button
+                      onClick={() => handleClearOverride(override.userId)}
+                      className="text-red-400 hover:text-red-300"
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {showOverrideModal && (
+        <OverrideModal
+          definitions={definitions}
+          globalValues={globalValues}
+          onClose={() => setShowOverrideModal(false)}
+          onSuccess={() => {
+            setShowOverrideModal(false)
+            loadSettings()
+          }}
+        />
+      )}
+    </div>
+  )
+}
+
+function SettingInput({ settingKey, definition, value, onChange }) {
+  const labels = SETTING_LABELS[settingKey] || { label: settingKey }
+
+  return (
+    <div>
+      <label className="block text-sm mb-2">{labels.label}</label>
+      <input
+        type="number"
+        min={definition.min}
+        max={definition.max}
+        value={value ?? ''}
+        onChange={e => onChange(e.target.value === '' ? null : parseInt(e.target.value, 10))}
+        className="w-full px-4 py-2 bg-slate-700 rounded-lg"
+      />
+      <p className="text-xs text-slate-400 mt-1">
+        {labels.help && `${labels.help}. `}Default {definition.default}, range {definition.min}–{definition.max}
+      </p>
+    </div>
+  )
+}
+
+function OverrideModal({ definitions, globalValues, onClose, onSuccess }) {
+  const [users, setUsers] = useState([])
+  const [userId, setUserId] = useState('')
+  const [values, setValues] = useState(globalValues)
+  const [loading, setLoading] = useState(false)
+
+  useEffect(() => {
+    usersApi.getAll()
+      .then(({ data }) => setUsers(data.users))
+      .catch(error => console.error('Failed to load users:', error))
+  }, [])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setLoading(true)
+
+    try {
+      await settingsApi.setUserPlayback(userId, values)
+      onSuccess()
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to save override')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-6">
+      <div className="bg-slate-800 rounded-lg p-8 max-w-md w-full">
+        <h3 className="text-2xl font-bold mb-6">Add Override</h3>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm mb-2">User</label>
+            <select
+              value={userId}
+              onChange={e => setUserId(e.target.value)}
+              className="w-full px-4 py-2 bg-slate-700 rounded-lg"
+              required
+            >
+              <option value="">Select a user</option>
+              {users.map(user => (
+                <option key={user.id} value={user.id}>{user.username}</option>
+              ))}
+            </select>
+          </div>
+          {Object.entries(definitions).map(([key, def]) => (
+            <SettingInput
+              key={key}
+              settingKey={key}
+              definition={def}
+              value={values[key]}
+              onChange={value => setValues({...values, [key]: value})}
+            />
+          ))}
+          <div className="flex space-x-4 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 py-2 bg-slate-700 rounded-lg"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={loading}
+              className="flex-1 py-2 bg-primary rounded-lg"
+            >
+              {loading ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default PlaybackSettings
@@ -0,0 +1,419 @@
+import { useState, useEffect } from 'react'
+import { qualityProfilesApi, usersApi } from '../services/api'
+
+const FIELD_LABELS = {
+  maxResolution: { label: 'Max resolution' },
+  minResolution: { label: 'Min resolution' },
+  videoCodecs: {
+    label: 'Allowed codecs',
+    help: 'Releases that don\'t name their codec are always allowed'
+  },
+  allowDolbyVision: { label: 'Allow Dolby Vision' },
+  allowHdr: {
+    label: 'Allow HDR',
+    help: 'Off also rules out Dolby Vision, for SDR screens'
+  },
+  audioLanguages: {
+    label: 'Preferred audio languages',
+    help: 'Two-letter codes, most preferred first (e.g. "en, fr"). Empty for no preference'
+  },
+  minMovieSizeGB: { label: 'Movie size from (GB)' },
+  maxMovieSizeGB: {
+    label: 'Movie size to (GB)',
+    help: 'Movies in this window rank first'
+  },
+  minEpisodeSizeGB: { label: 'Episode size from (GB)' },
+  maxEpisodeSizeGB: {
+    label: 'Episode size to (GB)',
+    help: 'Episodes in this window rank first'
+  },
+  movieSizeCapGB: {
+    label: 'Movie size cap (GB)',
+    help: 'Bigger movies are never picked. 0 for no cap'
+  },
+  episodeSizeCapGB: {
+    label: 'Episode size cap (GB)',
+    help: 'Bigger episodes are never picked (season packs excepted). 0 for no cap'
+  },
+  minMbPerMinute: {
+    label: 'Min MB per minute',
+    help: 'Lighter Zurg files only play when nothing better exists'
+  },
+  preferSmaller: {
+    label: 'Prefer smaller',
+    help: 'Pick the smallest release that meets the profile instead of the biggest'
+  }
+}
+
+const RESOLUTION_LABELS = { 0: 'No minimum', 480: '480p', 720: '720p', 1080: '1080p', 2160: '4K' }
+
+function formatValue(definition, value) {
+  if (value === undefined || value === null) {
+    return <span className="text-slate-500">—</span>
+  }
+  switch (definition.type) {
+    case 'resolution':
+      return RESOLUTION_LABELS[value] || value
+    case 'boolean':
+      return value ? 'Yes' : 'No'
+    case 'list':
+      return value.length > 0 ? value.join(', ') : 'Any'
+    default:
+      return value
+  }
+}
+
+function QualityProfiles() {
+  const [definitions, setDefinitions] = useState({})
+  const [globalValues, setGlobalValues] = useState({})
+  const [overrides, setOverrides] = useState([])
+  const [users, setUsers] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [editing, setEditing] = useState(null) // { userId, profile } or {} for a new one
+
+  useEffect(() => {
+    loadProfiles()
+    usersApi.getAll()
+      .then(({ data }) => setUsers(data.users))
+      .catch(error => console.error('Failed to load users:', error))
+  }, [])
+
+  const loadProfiles = async () => {
+    try {
+      const { data } = await qualityProfilesApi.getAll()
+      setDefinitions(data.definitions)
+      setGlobalValues(data.global)
+      setOverrides(data.overrides)
+    } catch (error) {
+      console.error('Failed to load quality profiles:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+
+    try {
+      const { data } = await qualityProfilesApi.updateGlobal(globalValues)
+      setGlobalValues(data.global)
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to save profile')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleResetDefaults = () => {
+    setGlobalValues(Object.fromEntries(
+      Object.entries(definitions).map(([key, def]) => [key, def.default])
+    ))
+  }
+
+  const handleClearProfile = async (userId) => {
+    if (!confirm('Remove this user\'s profile? They go back to the account or global profile.')) return
+
+    try {
+      await qualityProfilesApi.clearUser(userId)
+      loadProfiles()
+    } catch (error) {
+      alert('Failed to remove profile')
+    }
+  }
+
+  const usernameOf = (userId) =>
+    users.find(user => user.id === userId)?.username || `User ${userId}`
+
+  if (loading) {
+    return <div className="text-center py-12">Loading...</div>
+  }
+
+  return (
+    <div>
+      <h2 className="text-3xl font-bold mb-8">Quality Profiles</h2>
+
+      <div className="bg-slate-800 rounded-lg p-8 mb-8">
+        <h3 className="text-xl font-semibold mb-2">Global Profile</h3>
+        <p className="text-slate-400 mb-6">
+          Decides which Zurg file, cached link or Prowlarr release is picked for everyone without a profile of their own.
+        </p>
+        <form onSubmit={handleSave} className="space-y-4 max-w-xl">
+          {Object.entries(definitions).map(([key, def]) => (
+            <FieldInput
+              key={key}
+              fieldKey={key}
+              definition={def}
+              value={globalValues[key]}
+              onChange={value => setGlobalValues({...globalValues, [key]: value})}
+            />
+          ))}
+          <div className="flex space-x-4 pt-4">
+            <button
+              type="button"
+              onClick={handleResetDefaults}
+              className="px-6 py-2 bg-slate-700 rounded-lg"
+            >
+              Reset to Defaults
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-6 py-2 bg-primary hover:bg-primary-dark rounded-lg transition"
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-semibold">Per-User Profiles</h3>
+        <button
+          onClick={() => setEditing({})}
+          className="px-6 py-3 bg-primary hover:bg-primary-dark rounded-lg transition"
+        >
+          Add Profile
+        </button>
+      </div>
+      <p className="text-slate-400 mb-4">
+        Only the fields set here differ from the global profile. Sub-accounts use their main account's profile unless they have one.
+      </p>
+
+      {overrides.length === 0 ? (
+        <div className="bg-slate-800 rounded-lg p-12 text-center">
+          <p className="text-slate-400">No per-user profiles</p>
+        </div>
+      ) : (
+        <div className="bg-slate-800 rounded-lg overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-slate-700">
+              <tr>
+                <th className="px-6 py-4 text-left">User</th>
+                <th className="px-6 py-4 text-left">Profile</th>
+                <th className="px-6 py-4 text-left">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-700">
+              {overrides.map(override => (
+                <tr key={override.userId} className="hover:bg-slate-700/50">
+                  <td className="px-6 py-4">
+                    {override.username || `User ${override.userId}`}
+                    {override.parentUserId && (
+                      <div className="text-xs text-slate-400">Sub-account of {usernameOf(override.parentUserId)}</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 text-sm">
+                    {Object.entries(override.profile).map(([key, value]) => (
+                      <div key={key}>
+                        <span className="text-slate-400">{FIELD_LABELS[key]?.label || key}:</span>{' '}
+                        {definitions[key] ? formatValue(definitions[key], value) : String(value)}
+                      </div>
+                    ))}
+                  </td>
+                  <td className="px-6 py-4 space-x-4">
+                    <button
+                      onClick={() => setEditing(override)}
+                      className="text-primary hover:text-primary-dark"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleClearProfile(override.userId)}
+                      className="text-red-400 hover:text-red-300"
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {editing && (
+        <ProfileModal
+          definitions={definitions}
+          globalValues={globalValues}
+          users={users}
+          existing={editing}
+          onClose={() => setEditing(null)}
+          onSuccess={() => {
+            setEditing(null)
+            loadProfiles()
+          }}
+        />
+      )}
+    </div>
+  )
+}
+
+function FieldInput({ fieldKey, definition, value, onChange }) {
+  const labels = FIELD_LABELS[fieldKey] || { label: fieldKey }
+  let input
+  let hint = labels.help
+
+  switch (definition.type) {
+    case 'resolution':
+      input = (
+        <select
+          value={value ?? ''}
+          onChange={e => onChange(parseInt(e.target.value, 10))}
+          className="w-full px-4 py-2 bg-slate-700 rounded-lg"
+        >
+          {definition.options.map(option => (
+            <option key={option} value={option}>{RESOLUTION_LABELS[option] || option}</option>
+          ))}
+        </select>
+      )
+      break
+
+    case 'boolean':
+      input = (
+        <label className="flex items-center space-x-2">
+          <input
+            type="checkbox"
+            checked={!!value}
+            onChange={e => onChange(e.target.checked)}
+          />
+          <span>{labels.label}</span>
+        </label>
+      )
+      break
+
+    case 'list':
+      input = definition.options ? (
+        <div className="flex flex-wrap gap-4">
+          {definition.options.map(option => (
+            <label key={option} className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                checked={(value || []).includes(option)}
+                onChange={e => onChange(e.target.checked
+                  ? [...(value || []), option]
+                  : (value || []).filter(item => item !== option))}
+              />
+              <span>{option.toUpperCase()}</span>
+            </label>
+          ))}
+        </div>
+      ) : (
+        <input
+          type="text"
+          value={(value || []).join(', ')}
+          onChange={e => onChange(e.target.value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean))}
+          className="w-full px-4 py-2 bg-slate-700 rounded-lg"
+        />
+      )
+      break
+
+    default:
+      input = (
+        <input
+          type="number"
+          step="any"
+          min={definition.min}
+          max={definition.max}
+          value={value ?? ''}
+          onChange={e => onChange(e.target.value === '' ? null : parseFloat(e.target.value))}
+          className="w-full px-4 py-2 bg-slate-700 rounded-lg"
+        />
+      )
+      hint = `${hint ? `${hint}. ` : ''}Default ${definition.default}, range ${definition.min}–${definition.max}`
+  }
+
+  return (
+    <div>
+      {definition.type !== 'boolean' && <label className="block text-sm mb-2">{labels.label}</label>}
+      {input}
+      {hint && <p className="text-xs text-slate-400 mt-1">{hint}</p>}
+    </div>
+  )
+}
+
+function ProfileModal({ definitions, globalValues, users, existing, onClose, onSuccess }) {
+  const [userId, setUserId] = useState(existing.userId ?? '')
+  const [values, setValues] = useState({...globalValues, ...existing.profile})
+  // Only fields the admin set are stored, so the rest keep following the global profile
+  const [changed, setChanged] = useState(Object.keys(existing.profile || {}))
+  const [loading, setLoading] = useState(false)
+
+  const handleChange = (key, value) => {
+    setValues({...values, [key]: value})
+    setChanged(changed.includes(key) ? changed : [...changed, key])
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (changed.length === 0) {
+      alert('Change at least one field')
+      return
+    }
+    setLoading(true)
+
+    try {
+      await qualityProfilesApi.setUser(userId, Object.fromEntries(changed.map(key => [key, values[key]])))
+      onSuccess()
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to save profile')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-6">
+      <div className="bg-slate-800 rounded-lg p-8 max-w-md w-full max-h-full overflow-y-auto">
+        <h3 className="text-2xl font-bold mb-6">{existing.userId ? 'Edit Profile' : 'Add Profile'}</h3>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm mb-2">User</label>
+            <select
+              value={userId}
+              onChange={e => setUserId(e.target.value)}
+              className="w-full px-4 py-2 bg-slate-700 rounded-lg"
+              disabled={!!existing.userId}
+              required
+            >
+              <option value="">Select a user</option>
+              {users.map(user => (
+                <option key={user.id} value={user.id}>
+                  {user.username}{user.parentUserId ? ' (sub-account)' : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+          {Object.entries(definitions).map(([key, def]) => (
+            <FieldInput
+              key={key}
+              fieldKey={key}
+              definition={def}
+              value={values[key]}
+              onChange={value => handleChange(key, value)}
+            />
+          ))}
+          <div className="flex space-x-4 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 py-2 bg-slate-700 rounded-lg"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={loading}
+              className="flex-1 py-2 bg-primary rounded-lg"
+            >
+              {loading ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default QualityProfiles
@@ -56,4 +56,26 @@ export const alertsApi = {
     api.get('/admin/rd-expiry-alerts')
 }
 
+export const settingsApi = {
+  getPlayback: () =>
+    api.get('/admin/settings/playback'),
+  updatePlayback: (values) =>
+    api.put('/admin/settings/playback', values),
+  setUserPlayback: (userId, values) =>
+    api.put(`/admin/settings/playback/users/${userId}`, values),
+  clearUserPlayback: (userId) =>
+    api.delete(`/admin/settings/playback/users/${userId}`)
+}
+
+export const qualityProfilesApi = {
+  getAll: () =>
+    api.get('/admin/quality-profiles'),
+  updateGlobal: (values) =>
+    api.put('/admin/quality-profiles', values),
+  setUser: (userId, values) =>
+    api.put(`/admin/quality-profiles/users/${userId}`, values),
+  clearUser: (userId) =>
+    api.delete(`/admin/quality-profiles/users/${userId}`)
+}
+
 export default api
@@ -419,6 +419,7 @@ data class PrefetchPromoteResponse(
     val error: String? = null,  // Server error message
     // New fields for autoplay chain continuation
     val hasNext: Boolean = false,  // Whether there's a next episode after the promoted one
+    val nextEpisodeUnknown: Boolean = false,  // TMDB was unavailable - hasNext=false isn't a series finale
     val nextEpisode: PrefetchEpisodeInfo? = null,  // Info for the next episode (for autoplay UI)
     val contentInfo: PromotedContentInfo? = null,  // Info about the promoted episode (for next prefetch)
     val skipMarkers: com.duckflix.lite.data.remote.dto.SkipMarkers? = null  // Intro/recap/credits skip timestamps
@@ -2362,8 +2362,12 @@ class VideoPlayerViewModel @Inject constructor(
                         )
                     }
                 } else {
-                    println("[Prefetch] No next episode after promoted content (series finale)")
-                    // Clear prefetch state but don't set nextEpisodeInfo - series is ending
+                    if (response.nextEpisodeUnknown) {
+                        println("[Prefetch] Next episode after promoted content unknown (TMDB unavailable)")
+                    } else {
+                        println("[Prefetch] No next episode after promoted content (series finale)")
+                    }
+                    // Clear prefetch state but don't set nextEpisodeInfo - series is ending (or unknown)
                     _uiState.value = _uiState.value.copy(
                         nextEpisodeInfo = null,
                         prefetchJobId = null,
@@ -19,6 +19,19 @@ db.pragma('journal_mode = WAL'); // Write-Ahead Logging for better concurrency
 
 logger.info(`Database initialized at: ${DB_PATH}`);
 
+/**
+ * Add a column to an existing table if it is missing
+ * (CREATE TABLE IF NOT EXISTS does not touch tables created by older versions)
+ */
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    logger.info(`Added column ${table}.${column}`);
+  }
+}
+
 /**
  * Initialize database schema
  */
@@ -124,6 +137,174 @@ function initDatabase() {
     ON rd_link_cache(expires_at)
   `);
 
+  // Columns added after the initial rd_link_cache schema (release that produced the link)
+  addColumnIfMissing('rd_link_cache', 'release_title', 'TEXT');
+  addColumnIfMissing('rd_link_cache', 'release_hash', 'TEXT');
+  // Last time the link was probed and still worked
+  addColumnIfMissing('rd_link_cache', 'validated_at', 'INTEGER');
+  // Quality of the cached file (resolution = height, hdr = comma-separated flags)
+  addColumnIfMissing('rd_link_cache', 'resolution', 'INTEGER');
+  addColumnIfMissing('rd_link_cache', 'file_size', 'INTEGER');
+  addColumnIfMissing('rd_link_cache', 'video_codec', 'TEXT');
+  addColumnIfMissing('rd_link_cache', 'hdr', 'TEXT');
+
+  // RD download jobs (persisted so in-flight downloads survive restarts)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS download_jobs (
+      job_id TEXT PRIMARY KEY,
+      user_id INTEGER,
+      username TEXT,
+      ip_address TEXT,
+      tmdb_id INTEGER,
+      title TEXT,
+      year TEXT,
+      type TEXT,
+      season INTEGER,
+      episode INTEGER,
+      status TEXT NOT NULL DEFAULT 'searching',
+      progress INTEGER DEFAULT 0,
+      message TEXT,
+      source TEXT,
+      quality TEXT,
+      magnet_url TEXT,
+      rd_torrent_id TEXT,
+      stream_url TEXT,
+      file_name TEXT,
+      file_size INTEGER,
+      error TEXT,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_download_jobs_status
+    ON download_jobs(status, updated_at)
+  `);
+
+  // Columns added after the initial download_jobs schema
+  addColumnIfMissing('download_jobs', 'rejected_candidates', 'TEXT'); // JSON array of { rank, title, infoHash, reason, rejectedAt }
+  addColumnIfMissing('download_jobs', 'is_prefetch', 'INTEGER DEFAULT 0'); // 1 = background next-episode prefetch
+
+  // Releases reported as bad (wrong language, corrupt, out of sync) - excluded per title
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS bad_sources (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tmdb_id INTEGER NOT NULL,
+      type TEXT NOT NULL,
+      season INTEGER,
+      episode INTEGER,
+      release_hash TEXT,
+      release_title TEXT,
+      file_name TEXT,
+      reason TEXT,
+      reported_by INTEGER,
+      reported_at INTEGER NOT NULL
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_bad_sources_lookup
+    ON bad_sources(tmdb_id, type, season, episode)
+  `);
+
+  // Bandwidth measurements reported by clients (drives adaptive quality)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS bandwidth_measurements (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      measured_mbps REAL NOT NULL,
+      duration_ms INTEGER,
+      trigger TEXT,
+      measured_at INTEGER NOT NULL,
+      FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_bandwidth_user
+    ON bandwidth_measurements(user_id, measured_at)
+  `);
+
+  // Playback tuning (stutter detection) - user_id 0 holds the global values,
+  // other rows are per-user overrides
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS playback_settings (
+      user_id INTEGER NOT NULL DEFAULT 0,
+      key TEXT NOT NULL,
+      value INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      PRIMARY KEY (user_id, key)
+    )
+  `);
+
+  // Quality profiles (source selection) - same layout as playback_settings,
+  // value holds JSON since profile fields can be lists and booleans
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS quality_profiles (
+      user_id INTEGER NOT NULL DEFAULT 0,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      updated_at INTEGER NOT NULL,
+      PRIMARY KEY (user_id, key)
+    )
+  `);
+
+  // Intro/recap/credits markers read from MKV chapters, cached per file
+  // (markers NULL = file has no usable chapters)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS skip_markers (
+      file_path TEXT PRIMARY KEY,
+      file_size INTEGER,
+      markers TEXT,
+      created_at INTEGER NOT NULL
+    )
+  `);
+
+  // Audio/subtitle tracks of MKV files on the Zurg mount (tracks = JSON array),
+  // file_key identifies the file in embedded subtitle URLs
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS embedded_tracks (
+      file_key TEXT PRIMARY KEY,
+      file_path TEXT NOT NULL,
+      file_size INTEGER,
+      tracks TEXT NOT NULL,
+      created_at INTEGER NOT NULL
+    )
+  `);
+
+  // Playback history ("now playing" + recently watched, fed by heartbeats)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS playback_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER,
+      username TEXT,
+      ip_address TEXT,
+      tmdb_id INTEGER,
+      title TEXT,
+      year TEXT,
+      type TEXT,
+      season INTEGER,
+      episode INTEGER,
+      source TEXT NOT NULL,
+      file_name TEXT,
+      started_at INTEGER NOT NULL,
+      ended_at INTEGER,
+      duration_seconds INTEGER DEFAULT 0,
+      is_active BOOLEAN DEFAULT 1
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_playback_user_ip
+    ON playback_history(user_id, ip_address, is_active)
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_playback_started
+    ON playback_history(started_at)
+  `);
+
   logger.info('Database tables created successfully');
 }
 
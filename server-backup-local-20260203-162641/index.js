@@ -16,10 +16,22 @@ const rdRoutes = require('./routes/rd');
 const vodRoutes = require('./routes/vod');
 const apkRoutes = require('./routes/apk');
 const userRoutes = require('./routes/user');
+const bandwidthRoutes = require('./routes/bandwidth');
+const settingsRoutes = require('./routes/settings');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a reverse proxy (nginx/Docker) req.ip is the proxy's address unless
+// the proxy is trusted to report the client's (X-Forwarded-For).
+// TRUST_PROXY takes Express's values: true, a hop count, or addresses/subnets
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY.trim();
+  app.set('trust proxy', /^(true|false)$/i.test(trustProxy)
+    ? trustProxy.toLowerCase() === 'true'
+    : /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+}
+
 // Middleware
 // SECURITY: Configure CORS with allowed origins
 const allowedOrigins = process.env.ALLOWED_ORIGINS
@@ -59,6 +71,8 @@ app.use('/api/rd', rdRoutes);
 app.use('/api/vod', vodRoutes);
 app.use('/api/apk', apkRoutes);
 app.use('/api/user', userRoutes);
+app.use('/api/bandwidth', bandwidthRoutes);
+app.use('/api/settings', settingsRoutes);
 
 // Static files (APK hosting)
 app.use('/static', express.static(path.join(__dirname, 'static')));
@@ -86,20 +100,47 @@ async function start() {
     logger.info('Creating admin user if not exists...');
     await createAdminUser();
 
+    // Pick up RD downloads that were interrupted by the last shutdown
+    const { resumeUnfinishedJobs } = require('./services/rd-download-processor');
+    resumeUnfinishedJobs();
+
     logger.info('Starting EPG/M3U sync jobs...');
     startSyncJobs();
 
     // Start RD cache cleanup job (runs every hour)
-    logger.info('Starting RD cache cleanup job...');
+    logger.info('Starting RD cache and playback history cleanup job...');
     const rdCacheService = require('./services/rd-cache-service');
+    const playbackHistoryService = require('./services/playback-history-service');
+    const bandwidthService = require('./services/bandwidth-service');
     setInterval(async () => {
       try {
         await rdCacheService.cleanupExpired();
       } catch (error) {
         logger.error('[RD Cache] Cleanup failed:', error);
       }
+
+      try {
+        playbackHistoryService.cleanupOld();
+      } catch (error) {
+        logger.error('[Playback] History cleanup failed:', error);
+      }
+
+      try {
+        bandwidthService.cleanupOld();
+      } catch (error) {
+        logger.error('[Bandwidth] Cleanup failed:', error);
+      }
     }, 60 * 60 * 1000); // 1 hour
 
+    // Re-validate cached RD links of titles being watched (runs every 10 minutes)
+    setInterval(async () => {
+      try {
+        await rdCacheService.revalidateLinks(playbackHistoryService.getNowPlaying());
+      } catch (error) {
+        logger.error('[RD Cache] Re-validation failed:', error);
+      }
+    }, 10 * 60 * 1000);
+
     // HTTPS server configuration
     const httpsOptions = {
       key: fs.readFileSync(path.join(__dirname, 'certs', 'key.pem')),
@@ -3,6 +3,9 @@ const bcrypt = require('bcryptjs');
 const { db } = require('../db/init');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const playbackHistoryService = require('../services/playback-history-service');
+const playbackSettingsService = require('../services/playback-settings-service');
+const qualityProfileService = require('../services/quality-profile-service');
 
 const router = express.Router();
 
@@ -186,6 +189,9 @@ router.delete('/users/:id', (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    playbackSettingsService.clearOverrides(userId);
+    qualityProfileService.clearProfile(userId);
+
     logger.info(`User deleted: ID ${userId}`);
 
     res.json({ success: true });
@@ -273,4 +279,188 @@ router.get('/rd-expiry-alerts', (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/playback
+ * Get what is being watched right now and recent playback history
+ */
+router.get('/playback', (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+    res.json({
+      nowPlaying: playbackHistoryService.getNowPlaying(),
+      recent: playbackHistoryService.getRecent(limit)
+    });
+  } catch (error) {
+    logger.error('Get playback history error:', error);
+    res.status(500).json({ error: 'Failed to get playback history' });
+  }
+});
+
+/**
+ * GET /api/admin/settings/playback
+ * Get playback setting definitions, global values and per-user overrides
+ */
+router.get('/settings/playback', (req, res) => {
+  try {
+    res.json({
+      definitions: playbackSettingsService.getDefinitions(),
+      global: playbackSettingsService.getGlobal(),
+      overrides: playbackSettingsService.getOverrides()
+    });
+  } catch (error) {
+    logger.error('Get playback settings error:', error);
+    res.status(500).json({ error: 'Failed to get playback settings' });
+  }
+});
+
+/**
+ * PUT /api/admin/settings/playback
+ * Update global playback settings (null resets a setting to its default)
+ */
+router.put('/settings/playback', (req, res) => {
+  try {
+    const validationError = playbackSettingsService.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    playbackSettingsService.setValues(req.body);
+
+    res.json({ global: playbackSettingsService.getGlobal() });
+  } catch (error) {
+    logger.error('Update playback settings error:', error);
+    res.status(500).json({ error: 'Failed to update playback settings' });
+  }
+});
+
+/**
+ * PUT /api/admin/settings/playback/users/:id
+ * Set per-user playback overrides (null removes an override)
+ */
+router.put('/settings/playback/users/:id', (req, res) => {
+  try {
+    const userId = parseInt(req.params.id, 10);
+
+    const user = db.prepare('SELECT id FROM users WHERE id = ?').get(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const validationError = playbackSettingsService.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    playbackSettingsService.setValues(req.body, userId);
+
+    res.json({
+      overrides: playbackSettingsService.getStored(userId),
+      effective: playbackSettingsService.getForUser(userId)
+    });
+  } catch (error) {
+    logger.error('Update user playback settings error:', error);
+    res.status(500).json({ error: 'Failed to update playback settings' });
+  }
+});
+
+/**
+ * DELETE /api/admin/settings/playback/users/:id
+ * Remove all playback overrides for a user
+ */
+router.delete('/settings/playback/users/:id', (req, res) => {
+  try {
+    const userId = parseInt(req.params.id, 10);
+    const removed = playbackSettingsService.clearOverrides(userId);
+
+    res.json({ success: true, removed });
+  } catch (error) {
+    logger.error('Delete user playback settings error:', error);
+    res.status(500).json({ error: 'Failed to delete playback settings' });
+  }
+});
+
+/**
+ * GET /api/admin/quality-profiles
+ * Get quality profile field definitions, the global profile and per-user profiles
+ */
+router.get('/quality-profiles', (req, res) => {
+  try {
+    res.json({
+      definitions: qualityProfileService.getDefinitions(),
+      global: qualityProfileService.getGlobal(),
+      overrides: qualityProfileService.getOverrides()
+    });
+  } catch (error) {
+    logger.error('Get quality profiles error:', error);
+    res.status(500).json({ error: 'Failed to get quality profiles' });
+  }
+});
+
+/**
+ * PUT /api/admin/quality-profiles
+ * Update the global quality profile (null resets a field to its default)
+ */
+router.put('/quality-profiles', (req, res) => {
+  try {
+    const validationError = qualityProfileService.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    qualityProfileService.setValues(req.body);
+
+    res.json({ global: qualityProfileService.getGlobal() });
+  } catch (error) {
+    logger.error('Update quality profile error:', error);
+    res.status(500).json({ error: 'Failed to update quality profile' });
+  }
+});
+
+/**
+ * PUT /api/admin/quality-profiles/users/:id
+ * Set fields of a user's or sub-account's profile (null removes a field)
+ */
+router.put('/quality-profiles/users/:id', (req, res) => {
+  try {
+    const userId = parseInt(req.params.id, 10);
+
+    const user = db.prepare('SELECT id FROM users WHERE id = ?').get(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const validationError = qualityProfileService.validate(req.body, userId);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    qualityProfileService.setValues(req.body, userId);
+
+    res.json({
+      profile: qualityProfileService.getStored(userId),
+      effective: qualityProfileService.getForUser(userId)
+    });
+  } catch (error) {
+    logger.error('Update user quality profile error:', error);
+    res.status(500).json({ error: 'Failed to update quality profile' });
+  }
+});
+
+/**
+ * DELETE /api/admin/quality-profiles/users/:id
+ * Remove a user's profile (they go back to their parent's or the global one)
+ */
+router.delete('/quality-profiles/users/:id', (req, res) => {
+  try {
+    const userId = parseInt(req.params.id, 10);
+    const removed = qualityProfileService.clearProfile(userId);
+
+    res.json({ success: true, removed });
+  } catch (error) {
+    logger.error('Delete user quality profile error:', error);
+    res.status(500).json({ error: 'Failed to delete quality profile' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,119 @@
+const express = require('express');
+const crypto = require('crypto');
+const { authenticateToken } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const bandwidthService = require('../services/bandwidth-service');
+
+const router = express.Router();
+
+// All bandwidth routes require authentication
+router.use(authenticateToken);
+
+// Fixed-size test payload (GET /test)
+const TEST_PAYLOAD_SIZE = 10 * 1024 * 1024; // 10MB
+
+// Random (incompressible) chunk reused for every payload, so proxies can't shrink it
+const CHUNK_SIZE = 64 * 1024;
+const TEST_CHUNK = crypto.randomBytes(CHUNK_SIZE);
+
+/**
+ * GET /api/bandwidth/test
+ * Download a fixed-size payload (client times the download)
+ */
+router.get('/test', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'application/octet-stream',
+    'Content-Length': TEST_PAYLOAD_SIZE,
+    'Cache-Control': 'no-store'
+  });
+
+  let remaining = TEST_PAYLOAD_SIZE;
+  let closed = false;
+  req.on('close', () => { closed = true; });
+
+  const writeChunks = () => {
+    while (remaining > 0 && !closed) {
+      const chunk = remaining >= CHUNK_SIZE ? TEST_CHUNK : TEST_CHUNK.subarray(0, remaining);
+      remaining -= chunk.length;
+
+      if (!res.write(chunk)) {
+        res.once('drain', writeChunks);
+        return;
+      }
+    }
+
+    res.end();
+  };
+
+  writeChunks();
+});
+
+/**
+ * GET /api/bandwidth/test-stream?duration=5
+ * Stream random data for `duration` seconds (1-10), as fast as the connection allows
+ */
+router.get('/test-stream', (req, res) => {
+  const duration = Math.min(Math.max(parseInt(req.query.duration, 10) || 5, 1), 10);
+  const endAt = Date.now() + duration * 1000;
+
+  res.writeHead(200, {
+    'Content-Type': 'application/octet-stream',
+    'Cache-Control': 'no-store'
+  });
+
+  let closed = false;
+  req.on('close', () => { closed = true; });
+
+  const writeChunks = () => {
+    while (Date.now() < endAt && !closed) {
+      if (!res.write(TEST_CHUNK)) {
+        res.once('drain', writeChunks);
+        return;
+      }
+    }
+
+    res.end();
+  };
+
+  writeChunks();
+});
+
+/**
+ * POST /api/bandwidth/report
+ * Store a measurement: { measuredMbps, durationMs?, trigger? }
+ */
+router.post('/report', (req, res) => {
+  try {
+    const { measuredMbps, durationMs, trigger } = req.body;
+
+    if (typeof measuredMbps !== 'number' || !(measuredMbps > 0)) {
+      return res.status(400).json({ error: 'measuredMbps must be a positive number' });
+    }
+
+    const result = bandwidthService.recordMeasurement(req.user.sub, {
+      measuredMbps,
+      durationMs: Number.isFinite(durationMs) ? Math.round(durationMs) : null,
+      trigger: typeof trigger === 'string' ? trigger : null
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Bandwidth report error:', error);
+    res.status(500).json({ error: 'Failed to record bandwidth' });
+  }
+});
+
+/**
+ * GET /api/bandwidth/status
+ * Latest measurement with effective bandwidth, max bitrate and retest hints
+ */
+router.get('/status', (req, res) => {
+  try {
+    res.json(bandwidthService.getStatus(req.user.sub));
+  } catch (error) {
+    logger.error('Bandwidth status error:', error);
+    res.status(500).json({ error: 'Failed to get bandwidth status' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,10 @@ const express = require('express');
 const axios = require('axios');
 const { authenticateToken } = require('../middleware/auth');
 const { getSearchCriteria, updateSearchCriteria } = require('../services/zurg-search');
+const { annotateRdCache, rankCandidates, getProfileViolation } = require('../services/prowlarr-service');
+const { searchIndexers, hasIndexers } = require('../services/indexer-service');
+const { getUserRdApiKey } = require('../services/user-service');
+const qualityProfileService = require('../services/quality-profile-service');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -417,7 +421,10 @@ router.get('/zurg', async (req, res) => {
 
 /**
  * GET /api/search/prowlarr
- * Search Prowlarr for torrents
+ * Search the indexers (Prowlarr and Torznab) for torrents, deduped by infohash
+ * Each result has rdCached (true/false, null when not checked); torrents
+ * cached on RD rank above uncached ones of similar quality. Results are ranked
+ * with the user's quality profile; ones it rules out are left out.
  */
 router.get('/prowlarr', async (req, res) => {
   try {
@@ -427,11 +434,8 @@ router.get('/prowlarr', async (req, res) => {
       return res.status(400).json({ error: 'Query parameter required' });
     }
 
-    const prowlarrBaseUrl = process.env.PROWLARR_BASE_URL;
-    const prowlarrApiKey = process.env.PROWLARR_API_KEY;
-
-    if (!prowlarrBaseUrl || !prowlarrApiKey) {
-      return res.status(500).json({ error: 'Prowlarr not configured' });
+    if (!hasIndexers()) {
+      return res.status(500).json({ error: 'No indexers configured' });
     }
 
     // Build search query
@@ -440,42 +444,38 @@ router.get('/prowlarr', async (req, res) => {
       searchQuery += ` ${year}`;
     }
 
-    // Search Prowlarr
-    const searchUrl = `${prowlarrBaseUrl}/api/v1/search`;
-    const response = await axios.get(searchUrl, {
-      headers: {
-        'X-Api-Key': prowlarrApiKey
-      },
-      params: {
-        query: searchQuery,
-        type: type === 'tv' ? 'tvsearch' : 'search'
-      },
-      timeout: 30000
-    });
+    const results = await searchIndexers({ query: searchQuery, type: type === 'tv' ? 'tv' : null });
+    const mediaType = type === 'tv' ? 'tv' : 'movie';
+    const profile = qualityProfileService.getForUser(req.user.sub);
 
     // Format results
-    const results = response.data
+    const formatted = results
       .filter(r => r.seeders > 0) // Only return torrents with seeders
+      .filter(r => !getProfileViolation(r, mediaType, profile))
       .map(r => ({
         title: r.title,
         size: r.size,
         seeders: r.seeders,
-        leechers: r.leechers || 0,
-        magnetUrl: r.magnetUrl || r.downloadUrl,
+        leechers: r.leechers,
+        magnetUrl: r.magnetUrl,
         indexer: r.indexer,
         publishDate: r.publishDate,
         infoHash: r.infoHash
       }))
-      .sort((a, b) => b.seeders - a.seeders) // Sort by seeders
+      .sort((a, b) => b.seeders - a.seeders); // Best-seeded are checked against RD
+
+    await annotateRdCache(formatted, getUserRdApiKey(req.user.sub));
+
+    const ranked = rankCandidates(formatted, { type: mediaType, profile })
       .slice(0, 20); // Limit to top 20
 
-    res.json({ results });
+    res.json({ results: ranked });
   } catch (error) {
-    logger.error('Prowlarr search error:', error);
-    if (error.code === 'ECONNREFUSED') {
-      return res.status(503).json({ error: 'Prowlarr service unavailable' });
+    logger.error('Indexer search error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      return res.status(503).json({ error: 'Indexers unavailable' });
     }
-    res.status(500).json({ error: 'Prowlarr search failed' });
+    res.status(500).json({ error: 'Indexer search failed' });
   }
 });
 
@@ -0,0 +1,24 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const playbackSettingsService = require('../services/playback-settings-service');
+
+const router = express.Router();
+
+// All settings routes require authentication
+router.use(authenticateToken);
+
+/**
+ * GET /api/settings/playback
+ * Effective playback settings for the current user (defaults < global < user overrides)
+ */
+router.get('/playback', (req, res) => {
+  try {
+    res.json(playbackSettingsService.getForUser(req.user.sub));
+  } catch (error) {
+    logger.error('Get playback settings error:', error);
+    res.status(500).json({ error: 'Failed to get playback settings' });
+  }
+});
+
+module.exports = router;
@@ -2,119 +2,307 @@ const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
 const { db } = require('../db/init');
 const logger = require('../utils/logger');
-const { searchZurg } = require('../services/zurg-search');
+const { searchZurg, findZurgFile } = require('../services/zurg-search');
 const { completeDownloadFlow } = require('../services/rd-service');
 const rdCacheService = require('../services/rd-cache-service');
 const downloadJobManager = require('../services/download-job-manager');
+const playbackHistoryService = require('../services/playback-history-service');
+const badSourceService = require('../services/bad-source-service');
+const bandwidthService = require('../services/bandwidth-service');
+const qualityProfileService = require('../services/quality-profile-service');
+const { queueRdDownload } = require('../services/rd-download-processor');
+const downloadQueue = require('../services/download-queue');
 const { getUserRdApiKey, getEffectiveUserId } = require('../services/user-service');
 const { resolveZurgToRdLink } = require('../services/zurg-to-rd-resolver');
+const { findLowerQualityStream } = require('../services/quality-fallback');
+const { getTitleInfo, getNextEpisode, getRandomEpisode } = require('../services/tmdb-service');
+const { resolveNextEpisode } = require('../services/next-episode-service');
+const skipMarkerService = require('../services/skip-marker-service');
+const subtitleService = require('../services/subtitle-service');
+const embeddedTrackService = require('../services/embedded-track-service');
+const streamTokenService = require('../services/stream-token-service');
+const { getStreamClient, getZurgStreamUrl } = require('../services/stream-route-service');
+const { withTimeout } = require('../utils/with-timeout');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs');
+const path = require('path');
 const DEBUG_LOG = '/tmp/vod-debug.log';
 const debug = (msg) => fs.appendFileSync(DEBUG_LOG, `${new Date().toISOString()} ${msg}\n`);
 
 const router = express.Router();
 
-router.use(authenticateToken);
+const STREAM_MIME_TYPES = {
+  '.mp4': 'video/mp4',
+  '.mkv': 'video/x-matroska',
+  '.avi': 'video/x-msvideo',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm'
+};
 
 /**
- * POST /api/vod/stream-url/start
- * Start stream URL retrieval (returns jobId if download needed, or immediate streamUrl if cached)
+ * GET /api/vod/stream/:token (or /api/vod/stream?token=...)
+ * Proxy a file from the Zurg mount, with range requests
+ *
+ * Registered before authenticateToken: the signed stream token (see
+ * stream-token-service) is the credential, so ExoPlayer and external
+ * players can use the URL without an Authorization header.
  */
-router.post('/stream-url/start', async (req, res) => {
+router.get(['/stream/:token', '/stream'], (req, res) => {
+  const token = req.params.token || req.query.token;
+
+  if (!token) {
+    return res.status(401).json({ error: 'Stream token required' });
+  }
+
+  let filePath;
   try {
-    const { tmdbId, title, year, type, season, episode } = req.body;
-    const userId = req.user.sub;
+    ({ filePath } = streamTokenService.verifyToken(token));
+  } catch (error) {
+    logger.warn(`[Stream Proxy] Rejected stream token: ${error.message}`);
+    return res.status(403).json({ error: 'Invalid or expired stream token' });
+  }
 
-    logger.info(`Starting stream URL retrieval for: ${title} (${year})`);
+  logger.info(`[Stream Proxy] Request for: ${filePath}`);
 
-    // 1. Check Zurg first (preferred due to cache info)
-    const zurgResult = await searchZurg({
-      title,
-      year,
-      type, // Pass 'tv' or 'movie' directly - zurg-client expects 'tv' not 'episode'
-      season,
-      episode
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch (error) {
+    logger.error(`[Stream Proxy] File not found: ${filePath}`);
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  const fileSize = stat.size;
+  const range = req.headers.range;
+  const contentType = STREAM_MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+
+  if (range) {
+    const parts = range.replace(/bytes=/, '').split('-');
+    const start = parseInt(parts[0], 10);
+    const end = parts[1] ? Math.min(parseInt(parts[1], 10), fileSize - 1) : fileSize - 1;
+
+    if (Number.isNaN(start) || Number.isNaN(end) || start > end || start >= fileSize) {
+      res.writeHead(416, { 'Content-Range': `bytes */${fileSize}` });
+      return res.end();
+    }
+
+    logger.info(`[Stream Proxy] Range: ${start}-${end}/${fileSize}`);
+
+    res.writeHead(206, {
+      'Content-Range': `bytes ${start}-${end}/${fileSize}`,
+      'Accept-Ranges': 'bytes',
+      'Content-Length': (end - start) + 1,
+      'Content-Type': contentType
+    });
+    fs.createReadStream(filePath, { start, end }).pipe(res);
+  } else {
+    res.writeHead(200, {
+      'Content-Length': fileSize,
+      'Content-Type': contentType,
+      'Accept-Ranges': 'bytes'
     });
+    fs.createReadStream(filePath).pipe(res);
+  }
+});
 
-    if (zurgResult.match) { // Only use good quality, skip fallbacks
-      const file = zurgResult.match;
+router.use(authenticateToken);
+
+/**
+ * Find a stream that can be played right away: a good Zurg match (resolved to
+ * a direct RD link when possible) or a cached RD link
+ *
+ * streamRoute says how the URL is reached: 'direct' (RD link), or for Zurg
+ * HTTP 'lan'/'wan'/'proxy' (see stream-route-service).
+ *
+ * @param {Object} contentInfo
+ * @param {number} userId
+ * @param {{ip: string, baseUrl: string}} client - From getStreamClient(req)
+ * @returns {Promise<{streamUrl: string, streamRoute: string, source: string, fileName: string, filePath?: string}|null>}
+ */
+async function findImmediateStream({ tmdbId, title, year, type, season, episode }, userId, client) {
+  const profile = qualityProfileService.getForUser(userId);
+
+  // 1. Check Zurg first (preferred due to cache info)
+  const zurgResult = await searchZurg({
+    title,
+    year,
+    type, // Pass 'tv' or 'movie' directly - zurg-client expects 'tv' not 'episode'
+    season,
+    episode,
+    profile
+  });
+
+  // Ignore a Zurg match that has been reported as bad, or that the user's
+  // connection can't sustain (a download job will pick a release that fits)
+  const exclusions = badSourceService.getExclusions({ tmdbId, type, season, episode });
+  const maxBitrateMbps = bandwidthService.getMaxBitrateMbps(userId);
+  let zurgMatch = zurgResult.match &&
+    !badSourceService.isExcluded(exclusions, { title: zurgResult.match.fileName })
+    ? zurgResult.match
+    : null;
+
+  if (zurgMatch && maxBitrateMbps) {
+    const bitrateMbps = bandwidthService.estimateBitrateMbps(zurgMatch.fileSize, zurgMatch.estimatedDuration);
+
+    if (bitrateMbps > maxBitrateMbps) {
+      logger.info(`Zurg match ~${bitrateMbps.toFixed(1)} Mbps exceeds ${maxBitrateMbps} Mbps, looking for a lighter release`);
+      zurgMatch = null;
+    }
+  }
 
-      debug(`[ZURG-MATCH] Entered Zurg match block`);
-      logger.info(`Zurg match found: ${file.filePath}`);
+  if (zurgMatch) { // Only use good quality, skip fallbacks
+    const file = zurgMatch;
 
-      // Try to resolve Zurg path to direct RD link (supports HTTP range requests)
-      const rdApiKey = getUserRdApiKey(userId);
-      debug(`[RD-KEY] getUserRdApiKey returned: ${rdApiKey ? 'KEY_PRESENT' : 'NULL'}`);
+    debug(`[ZURG-MATCH] Entered Zurg match block`);
+    logger.info(`Zurg match found: ${file.filePath}`);
 
-      let streamUrl = null;
-      let source = 'zurg';
+    // Try to resolve Zurg path to direct RD link (supports HTTP range requests)
+    const rdApiKey = getUserRdApiKey(userId);
+    debug(`[RD-KEY] getUserRdApiKey returned: ${rdApiKey ? 'KEY_PRESENT' : 'NULL'}`);
 
-      if (rdApiKey) {
-        debug(`[RESOLVE] Attempting to resolve: ${file.filePath}`);
-        const rdLink = await resolveZurgToRdLink(file.filePath, rdApiKey);
-        debug(`[RESOLVE] Result: ${rdLink ? rdLink.substring(0, 80) : 'NULL'}`);
+    let streamUrl = null;
+    let streamRoute = 'direct';
+    let source = 'zurg';
 
-        if (rdLink) {
-          streamUrl = rdLink;
-          source = 'rd-via-zurg';
-          debug(`[SUCCESS] Using RD direct link`);
-        } else {
-          debug(`[FALLBACK] Failed to resolve, using Zurg HTTP`);
-        }
+    if (rdApiKey) {
+      debug(`[RESOLVE] Attempting to resolve: ${file.filePath}`);
+      const rdLink = await resolveZurgToRdLink(file.filePath, rdApiKey);
+      debug(`[RESOLVE] Result: ${rdLink ? rdLink.substring(0, 80) : 'NULL'}`);
+
+      if (rdLink) {
+        streamUrl = rdLink;
+        source = 'rd-via-zurg';
+        debug(`[SUCCESS] Using RD direct link`);
       } else {
-        debug('[NO-KEY] No RD API key, skipping resolution');
+        debug(`[FALLBACK] Failed to resolve, using Zurg HTTP`);
       }
+    } else {
+      debug('[NO-KEY] No RD API key, skipping resolution');
+    }
 
-      // Fall back to Zurg WebDAV if RD resolution failed
-      if (!streamUrl) {
-        const mountPath = process.env.ZURG_MOUNT_PATH || '/mnt/zurg';
-        const relativePath = file.filePath.replace(mountPath, '');
-        // URL encode path segments for ExoPlayer (preserve slashes)
-        const encodedPath = relativePath.split("/").map(s => encodeURIComponent(s)).join("/");
-        streamUrl = `http://192.168.4.66:9999/http${encodedPath}`;
-      }
+    // Fall back to Zurg HTTP if RD resolution failed
+    if (!streamUrl) {
+      ({ streamUrl, streamRoute } = getZurgStreamUrl(file.filePath, userId, client));
+    }
 
-      logger.info(`Zurg match found, returning: ${streamUrl}`);
+    logger.info(`Zurg match found, returning (${streamRoute}): ${streamUrl}`);
 
-      // Track playback for monitoring (non-blocking)
-      try {
-        const user = db.prepare('SELECT username FROM users WHERE id = ?').get(userId);
-        const rdApiKey = getUserRdApiKey(userId);
-        const userInfo = {
-          username: user?.username || 'unknown',
-          userId,
-          ip: req.ip || req.connection.remoteAddress || 'unknown',
-          rdApiKey
-        };
-        downloadJobManager.trackPlayback({ tmdbId, title, year, type, season, episode }, userInfo, source, streamUrl, file.fileName);
-      } catch (err) {
-        logger.warn('Failed to track playback:', err.message);
-      }
+    return { streamUrl, streamRoute, source, fileName: file.fileName, filePath: file.filePath };
+  }
 
-      return res.json({
-        immediate: true,
-        streamUrl,
-        source,
-        fileName: file.fileName,
-        _debug: {
-          rdApiKeyPresent: !!getUserRdApiKey(userId),
-          filePath: file.filePath
-        }
-      });
-    }
+  // 2. Check RD cache (best cached quality within the user's limits)
+  const cachedRd = await rdCacheService.getCachedLink({
+    tmdbId,
+    type,
+    season,
+    episode
+  }, {
+    profile,
+    maxBitrateMbps
+  });
+
+  if (cachedRd) {
+    logger.info(`RD cache hit, returning immediately: ${cachedRd.streamUrl}`);
+    return { streamUrl: cachedRd.streamUrl, streamRoute: 'direct', source: 'rd-cached', fileName: cachedRd.fileName };
+  }
 
-    // 2. Check RD cache
-    const cachedRd = await rdCacheService.getCachedLink({
-      tmdbId,
-      type,
-      season,
-      episode
-    });
+  return null;
+}
+
+// Longest we hold up an immediate stream to read the file's chapters and
+// tracks (both are cached after the first read)
+const FILE_INFO_TIMEOUT_MS = 2000;
+
+/**
+ * Skip markers and embedded tracks of a file on the Zurg mount
+ *
+ * @param {Object} contentInfo - Used to find the file when only fileName is known
+ * @param {{filePath?: string, fileName?: string}} file
+ * @returns {Promise<{skipMarkers: Object|null, embeddedTracks: Object|null}>}
+ */
+async function getFileInfo(contentInfo, { filePath, fileName }) {
+  const zurgPath = filePath || await findZurgFile(contentInfo, fileName);
+  if (!zurgPath) {
+    return { skipMarkers: null, embeddedTracks: null };
+  }
 
-    if (cachedRd) {
-      logger.info(`RD cache hit, returning immediately: ${cachedRd.streamUrl}`);
+  const [skipMarkers, embeddedTracks] = await Promise.all([
+    skipMarkerService.getSkipMarkers(zurgPath),
+    embeddedTrackService.getTracks(zurgPath)
+  ]);
 
+  return { skipMarkers, embeddedTracks };
+}
+
+/**
+ * getFileInfo for an immediate stream, without holding up playback for long
+ */
+async function getImmediateFileInfo(contentInfo, immediate) {
+  return await withTimeout(getFileInfo(contentInfo, immediate), FILE_INFO_TIMEOUT_MS)
+    || { skipMarkers: null, embeddedTracks: null };
+}
+
+/**
+ * Client-facing SubtitleDto for a subtitle service entry
+ */
+function toSubtitleDto(req, subtitle) {
+  return {
+    id: subtitle.id,
+    language: subtitle.language,
+    languageCode: subtitle.languageCode,
+    url: `${req.protocol}://${req.get('host')}/api/vod/subtitles/file/${subtitle.key}/${subtitle.languageCode}.vtt`,
+    label: subtitle.label,
+    source: subtitle.source,
+    streamIndex: null
+  };
+}
+
+/**
+ * Client-facing SubtitleDto for an embedded subtitle track
+ * (url only for text tracks - image subtitles can only be picked by streamIndex)
+ */
+function toEmbeddedSubtitleDto(req, track) {
+  return {
+    id: null,
+    language: track.language,
+    languageCode: track.languageCode,
+    url: track.isText
+      ? `${req.protocol}://${req.get('host')}/api/vod/subtitles/embedded/${track.fileKey}/${track.streamIndex}.vtt`
+      : null,
+    label: track.label,
+    source: 'embedded',
+    streamIndex: track.streamIndex
+  };
+}
+
+/**
+ * Subtitles to send with a stream: embedded tracks plus already-downloaded external ones
+ */
+function getStreamSubtitles(req, contentInfo, embeddedTracks) {
+  const embedded = embeddedTracks
+    ? embeddedTrackService.getSubtitleEntries(embeddedTracks.fileKey, embeddedTracks.tracks)
+    : [];
+
+  return [
+    ...embedded.map(track => toEmbeddedSubtitleDto(req, track)),
+    ...subtitleService.getCached(contentInfo).map(subtitle => toSubtitleDto(req, subtitle))
+  ];
+}
+
+/**
+ * POST /api/vod/stream-url/start
+ * Start stream URL retrieval (returns jobId if download needed, or immediate streamUrl if cached)
+ */
+router.post('/stream-url/start', async (req, res) => {
+  try {
+    const { tmdbId, title, year, type, season, episode } = req.body;
+    const userId = req.user.sub;
+
+    logger.info(`Starting stream URL retrieval for: ${title} (${year})`);
+
+    const immediate = await findImmediateStream({ tmdbId, title, year, type, season, episode }, userId, getStreamClient(req));
+
+    if (immediate) {
       // Track playback for monitoring (non-blocking)
       try {
         const user = db.prepare('SELECT username FROM users WHERE id = ?').get(userId);
@@ -125,17 +313,37 @@ router.post('/stream-url/start', async (req, res) => {
           ip: req.ip || req.connection.remoteAddress || 'unknown',
           rdApiKey
         };
-        downloadJobManager.trackPlayback({ tmdbId, title, year, type, season, episode }, userInfo, 'rd-cached', cachedRd.streamUrl, cachedRd.fileName);
+        playbackHistoryService.trackPlayback({ tmdbId, title, year, type, season, episode }, userInfo, immediate.source, immediate.streamUrl, immediate.fileName);
       } catch (err) {
         logger.warn('Failed to track playback:', err.message);
       }
 
-      return res.json({
+      const contentInfo = { tmdbId, title, year, type, season, episode };
+      const { skipMarkers, embeddedTracks } = await getImmediateFileInfo(contentInfo, immediate);
+
+      const response = {
         immediate: true,
-        streamUrl: cachedRd.streamUrl,
-        source: 'rd-cached',
-        fileName: cachedRd.fileName
-      });
+        streamUrl: immediate.streamUrl,
+        streamRoute: immediate.streamRoute,
+        source: immediate.source,
+        fileName: immediate.fileName,
+        skipMarkers
+      };
+
+      // Nothing to send = the client searches for external subtitles in the background
+      const subtitles = getStreamSubtitles(req, contentInfo, embeddedTracks);
+      if (subtitles.length > 0) {
+        response.subtitles = subtitles;
+      }
+
+      if (immediate.filePath) {
+        response._debug = {
+          rdApiKeyPresent: !!getUserRdApiKey(userId),
+          filePath: immediate.filePath
+        };
+      }
+
+      return res.json(response);
     }
 
     // 3. Need to download from RD - create job
@@ -156,7 +364,7 @@ router.post('/stream-url/start', async (req, res) => {
     logger.info(`Created download job ${jobId} for ${title}`);
 
     // Start download in background
-    processRdDownload(jobId, { tmdbId, title, year, type, season, episode, userId });
+    queueRdDownload(jobId, { tmdbId, title, year, type, season, episode, userId });
 
     res.json({
       immediate: false,
@@ -176,6 +384,41 @@ router.post('/stream-url/start', async (req, res) => {
   }
 });
 
+/**
+ * Build the client-facing progress payload for a job
+ */
+function buildProgressResponse(job, req) {
+  const response = {
+    status: job.status,
+    progress: job.progress,
+    message: job.message,
+    streamUrl: job.streamUrl,
+    fileName: job.fileName,
+    source: job.streamUrl ? 'rd' : null,
+    error: job.error
+  };
+
+  // TV jobs only, once resolved in the background (null = series finale)
+  if (job.nextEpisode !== undefined) {
+    response.hasNextEpisode = !!job.nextEpisode;
+    response.nextEpisode = job.nextEpisode;
+  }
+
+  // Read from the file's chapters after the job completes
+  if (job.skipMarkers) {
+    response.skipMarkers = job.skipMarkers;
+  }
+
+  if (job.status === 'completed') {
+    const subtitles = getStreamSubtitles(req, job.contentInfo, job.embeddedTracks);
+    if (subtitles.length > 0) {
+      response.subtitles = subtitles;
+    }
+  }
+
+  return response;
+}
+
 /**
  * GET /api/vod/stream-url/progress/:jobId
  * Get download progress for a job
@@ -189,21 +432,77 @@ router.get('/stream-url/progress/:jobId', (req, res) => {
       return res.status(404).json({ error: 'Job not found' });
     }
 
-    res.json({
-      status: job.status,
-      progress: job.progress,
-      message: job.message,
-      streamUrl: job.streamUrl,
-      fileName: job.fileName,
-      source: job.streamUrl ? 'rd' : null,
-      error: job.error
-    });
+    res.json(buildProgressResponse(job, req));
   } catch (error) {
     logger.error('Progress check error:', error);
     res.status(500).json({ error: 'Progress check failed' });
   }
 });
 
+/**
+ * GET /api/vod/stream-url/events/:jobId
+ * Stream job progress as Server-Sent Events (alternative to polling /progress)
+ *
+ * Sends a `progress` event immediately and on every job update, and closes the
+ * stream once the job completes or errors. Sends `cancelled` if the job is deleted.
+ */
+router.get('/stream-url/events/:jobId', (req, res) => {
+  const { jobId } = req.params;
+  const job = downloadJobManager.getJob(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const isFinished = (j) => j.status === 'completed' || j.status === 'error';
+
+  sendEvent('progress', buildProgressResponse(job, req));
+
+  if (isFinished(job)) {
+    return res.end();
+  }
+
+  // Comment lines keep idle connections from being dropped by proxies
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  const cleanup = () => {
+    clearInterval(keepAlive);
+    downloadJobManager.off(`job:${jobId}`, onUpdate);
+    downloadJobManager.off(`deleted:${jobId}`, onDeleted);
+  };
+
+  const onUpdate = (updatedJob) => {
+    sendEvent('progress', buildProgressResponse(updatedJob, req));
+
+    if (isFinished(updatedJob)) {
+      cleanup();
+      res.end();
+    }
+  };
+
+  const onDeleted = () => {
+    sendEvent('cancelled', { jobId });
+    cleanup();
+    res.end();
+  };
+
+  downloadJobManager.on(`job:${jobId}`, onUpdate);
+  downloadJobManager.on(`deleted:${jobId}`, onDeleted);
+
+  req.on('close', cleanup);
+});
+
 /**
  * DELETE /api/vod/stream-url/cancel/:jobId
  * Cancel a download job
@@ -221,158 +520,483 @@ router.delete('/stream-url/cancel/:jobId', (req, res) => {
 });
 
 /**
- * Background RD download processor with progressive updates
+ * POST /api/vod/report-bad
+ * Report the current source as bad and start a new job that skips it
+ *
+ * The release is excluded for this title/episode for every user, and cached
+ * links for it are evicted. jobId may be "unknown" (immediate streams), in which
+ * case the user's active playback identifies what was being watched.
  */
-async function processRdDownload(jobId, contentInfo) {
-  const { tmdbId, title, year, type, season, episode, userId } = contentInfo;
+router.post('/report-bad', async (req, res) => {
+  try {
+    const { jobId, reason } = req.body;
+    const userId = req.user.sub;
+    const ip = req.ip || req.connection.remoteAddress || 'unknown';
+
+    let contentInfo = null;
+    let release = null;
+
+    const job = jobId && jobId !== 'unknown' ? downloadJobManager.getJob(jobId) : null;
+
+    if (job) {
+      contentInfo = job.contentInfo;
+      release = {
+        releaseHash: badSourceService.getInfoHash(job.magnetUrl),
+        releaseTitle: job.source,
+        fileName: job.fileName
+      };
+    } else {
+      const playback = playbackHistoryService.getActive(userId, ip);
+
+      if (playback) {
+        const { tmdbId, title, year, type, season, episode } = playback;
+        contentInfo = { tmdbId, title, year, type, season, episode };
+
+        // Cached links remember which release they came from
+        const cached = rdCacheService.getLinksFor(contentInfo)
+          .find(link => link.fileName === playback.fileName);
+
+        release = {
+          releaseHash: cached?.releaseHash,
+          releaseTitle: cached?.releaseTitle,
+          fileName: playback.fileName
+        };
+      }
+    }
+
+    if (!contentInfo) {
+      return res.status(404).json({
+        success: false,
+        newJobId: null,
+        message: 'Could not find the stream to report'
+      });
+    }
+
+    const reportedCount = badSourceService.reportBadSource(contentInfo, release, reason, userId);
+    rdCacheService.evictLinks(contentInfo, release);
+
+    const excludedCount = badSourceService.countExcluded(badSourceService.getExclusions(contentInfo));
+
+    // Start a fresh job - it skips every excluded release
+    const newJobId = uuidv4();
+    const user = db.prepare('SELECT username FROM users WHERE id = ?').get(userId);
+    const userInfo = {
+      username: user?.username || 'unknown',
+      userId,
+      ip,
+      rdApiKey: getUserRdApiKey(userId)
+    };
+
+    downloadJobManager.createJob(newJobId, contentInfo, userInfo);
+    queueRdDownload(newJobId, { ...contentInfo, userId });
+
+    logger.info(`Bad source reported for ${contentInfo.title} (${excludedCount} excluded), started job ${newJobId}`);
+
+    res.json({
+      success: true,
+      newJobId,
+      reportedCount,
+      excludedCount,
+      message: 'Source reported, finding another one'
+    });
+  } catch (error) {
+    logger.error('Report bad source error:', error);
+    res.status(500).json({ error: 'Report failed' });
+  }
+});
 
+/**
+ * POST /api/vod/fallback
+ * Switch a stuttering stream to a lower-bitrate release
+ *
+ * Body: { tmdbId, type, year, season?, episode?, duration? (minutes), currentBitrate? (bits/s) }
+ * Returns a new stream URL; the client keeps its playback position.
+ */
+router.post('/fallback', async (req, res) => {
   try {
+    const { tmdbId, type, year, season, episode, duration, currentBitrate } = req.body;
+    const userId = req.user.sub;
+    const ip = req.ip || req.connection.remoteAddress || 'unknown';
+
+    if (!tmdbId || !type) {
+      return res.status(400).json({ error: 'tmdbId and type are required' });
+    }
+
     const rdApiKey = getUserRdApiKey(userId);
     if (!rdApiKey) {
-      throw new Error('Real-Debrid API key not configured for this user');
+      return res.status(400).json({ error: 'Real-Debrid API key not configured for this user' });
+    }
+
+    // The request only carries IDs - take the title from what is playing, else TMDB
+    const playback = playbackHistoryService.getActive(userId, ip);
+    const isPlaying = playback &&
+      playback.tmdbId === tmdbId &&
+      (playback.season ?? null) === (season ?? null) &&
+      (playback.episode ?? null) === (episode ?? null);
+
+    let title = isPlaying ? playback.title : null;
+    if (!title) {
+      title = (await getTitleInfo(tmdbId, type))?.title;
+    }
+
+    if (!title) {
+      return res.status(404).json({ error: 'Unknown title' });
     }
 
-    // Update: Checking sources (no progress % until RD download starts)
-    downloadJobManager.updateJob(jobId, {
-      status: 'searching',
-      progress: 0,
-      message: 'Checking sources...'
+    const fallback = await findLowerQualityStream({
+      tmdbId,
+      title,
+      year,
+      type,
+      season,
+      episode,
+      duration: duration > 0 ? duration : null,
+      currentBitrate,
+      currentFileName: isPlaying ? playback.fileName : null,
+      maxBitrateMbps: bandwidthService.getMaxBitrateMbps(userId),
+      profile: qualityProfileService.getForUser(userId),
+      rdApiKey
     });
 
-    // Use content resolver for smart Zurg/Prowlarr selection
-    const { resolveContent } = require('../services/content-resolver');
+    if (!fallback) {
+      return res.status(404).json({ error: 'No lower-quality source available' });
+    }
+
+    logger.info(`Fallback for ${title}: ${fallback.quality} at ${fallback.mbPerMinute} MB/min (${fallback.fileName})`);
 
-    let resolution;
     try {
-      // Update: Searching sources
-      downloadJobManager.updateJob(jobId, {
-        status: 'searching',
-        progress: 0,
-        message: 'Finding sources...'
-      });
+      const user = db.prepare('SELECT username FROM users WHERE id = ?').get(userId);
+      playbackHistoryService.trackPlayback(
+        { tmdbId, title, year, type, season, episode },
+        { username: user?.username || 'unknown', userId, ip },
+        fallback.source,
+        fallback.streamUrl,
+        fallback.fileName
+      );
+    } catch (err) {
+      logger.warn('Failed to track playback:', err.message);
+    }
 
-      resolution = await resolveContent({
-        title,
-        year,
-        type,
-        season,
-        episode,
-        rdApiKey
-      });
+    res.json({
+      streamUrl: fallback.streamUrl,
+      source: fallback.source,
+      fileName: fallback.fileName
+    });
+  } catch (error) {
+    logger.error('Fallback error:', error);
+    res.status(500).json({ error: 'Fallback failed' });
+  }
+});
 
-      // Update: Trying source
-      const qualityLabel = resolution.quality?.resolution || resolution.quality?.title?.match(/\b(2160p|4K|1080p|720p|480p)\b/i)?.[0] || 'HD';
-      downloadJobManager.updateJob(jobId, {
-        status: 'searching',
-        progress: 0,
-        message: `Trying Source #1 ${qualityLabel}`,
-        source: `${resolution.quality?.title || 'Unknown'}`
-      });
-    } catch (err) {
-      throw new Error(`No suitable sources found: ${err.message}`);
+/**
+ * GET /api/vod/next-episode/:tmdbId/:season/:episode?title=
+ * Resolve the next episode (rolling into the next season) and whether it is
+ * in the same RD torrent / Zurg directory as the current one
+ */
+router.get('/next-episode/:tmdbId/:season/:episode', async (req, res) => {
+  try {
+    const tmdbId = parseInt(req.params.tmdbId, 10);
+    const season = parseInt(req.params.season, 10);
+    const episode = parseInt(req.params.episode, 10);
+
+    if ([tmdbId, season, episode].some(Number.isNaN)) {
+      return res.status(400).json({ error: 'tmdbId, season and episode must be numbers' });
+    }
+
+    const result = await resolveNextEpisode({
+      tmdbId,
+      season,
+      episode,
+      title: req.query.title,
+      rdApiKey: getUserRdApiKey(req.user.sub)
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Next episode error:', error);
+    if (error.code === 'TMDB_UNAVAILABLE') {
+      // Unknown, not "no next episode" - clients keep autoplay on and retry
+      return res.status(503).json({ error: 'TMDB unavailable', hasNext: null });
     }
+    res.status(500).json({ error: 'Failed to resolve next episode' });
+  }
+});
+
+/**
+ * Resolve a prefetch job in the background: an immediate stream completes it
+ * right away, otherwise it goes through the normal RD download
+ */
+async function runPrefetch(jobId, contentInfo, userId, client) {
+  try {
+    const immediate = await findImmediateStream(contentInfo, userId, client);
 
-    // If Zurg selected (shouldn't happen, but handle it)
-    if (resolution.source === 'zurg') {
+    if (immediate) {
       downloadJobManager.updateJob(jobId, {
         status: 'completed',
         progress: 100,
-        message: 'Ready to play',
-        streamUrl: `${process.env.ZURG_BASE_URL || 'http://localhost:9999'}${resolution.zurgPath}`,
-        fileName: resolution.zurgPath.split('/').pop()
+        message: 'Ready to play!',
+        streamUrl: immediate.streamUrl,
+        streamSource: immediate.source,
+        fileName: immediate.fileName,
+        // Left unset when TMDB is down, so it's looked up again on promote
+        nextEpisode: await getNextEpisode(contentInfo.tmdbId, contentInfo.season, contentInfo.episode)
+          .catch(() => undefined),
+        ...await getFileInfo(contentInfo, immediate)
       });
+      logger.info(`Prefetch job ${jobId} ready immediately (${immediate.source})`);
       return;
     }
+  } catch (error) {
+    logger.warn(`Prefetch job ${jobId}: immediate lookup failed, downloading instead: ${error.message}`);
+  }
+
+  queueRdDownload(jobId, { ...contentInfo, userId }, 'prefetch');
+}
+
+/**
+ * POST /api/vod/prefetch-next
+ * Start resolving the upcoming episode in the background (called near the end of an episode)
+ *
+ * mode "sequential" (default) prefetches the next episode, "random" a random aired one.
+ * The job is not tracked as playback until it's promoted.
+ */
+router.post('/prefetch-next', async (req, res) => {
+  try {
+    const { tmdbId, title, year, currentSeason, currentEpisode, mode } = req.body;
+    const userId = req.user.sub;
+
+    if (!tmdbId || !title || currentSeason == null || currentEpisode == null) {
+      return res.status(400).json({ error: 'tmdbId, title, currentSeason and currentEpisode are required' });
+    }
+
+    const next = mode === 'random'
+      ? await getRandomEpisode(tmdbId, currentSeason, currentEpisode)
+      : await getNextEpisode(tmdbId, currentSeason, currentEpisode);
+
+    if (!next) {
+      return res.json({ hasNext: false, jobId: null, nextEpisode: null });
+    }
 
-    const qualityLabel = resolution.quality?.title?.match(/\b(2160p|4K|1080p|720p)\b/i)?.[0] || 'HD';
+    const nextEpisode = { season: next.season, episode: next.episode, title: next.title };
+    const contentInfo = { tmdbId, title, year, type: 'tv', season: next.season, episode: next.episode };
 
-    // Start RD download - progress bar shows ONLY actual RD download progress
-    const { downloadFromRD } = require('@duckflix/rd-client');
+    // The client may ask again for the same episode - reuse the job already running
+    const existing = downloadJobManager.findPrefetchJob(contentInfo, userId);
+    if (existing) {
+      return res.json({ hasNext: true, jobId: existing.jobId, nextEpisode });
+    }
 
-    const result = await downloadFromRD(
-      resolution.magnetUrl,
-      rdApiKey,
-      season,
-      episode,
-      (rdProgress, rdMessage) => {
-        // rdProgress from RD client includes setup (10-20%) + download (20-90%)
-        // Extract ONLY the actual download progress from RD's torrent progress
-        // When rdMessage contains "Downloading: X%", that's the real RD progress
-        const rdMatch = rdMessage.match(/Downloading:\s*(\d+)%/);
-        if (rdMatch) {
-          // Use RD's actual download progress directly
-          const actualRdProgress = parseInt(rdMatch[1]);
-          downloadJobManager.updateJob(jobId, {
-            status: 'downloading',
-            progress: actualRdProgress,
-            message: `${qualityLabel}: ${actualRdProgress}%`
-          });
+    const jobId = uuidv4();
+    const user = db.prepare('SELECT username FROM users WHERE id = ?').get(userId);
+    const userInfo = {
+      username: user?.username || 'unknown',
+      userId,
+      ip: req.ip || req.connection.remoteAddress || 'unknown',
+      rdApiKey: getUserRdApiKey(userId)
+    };
+
+    downloadJobManager.createJob(jobId, contentInfo, userInfo, { prefetch: true });
+
+    logger.info(`Created prefetch job ${jobId} for ${title} S${next.season}E${next.episode} (${mode || 'sequential'})`);
+
+    runPrefetch(jobId, contentInfo, userId, getStreamClient(req));
+
+    res.json({ hasNext: true, jobId, nextEpisode });
+  } catch (error) {
+    logger.error('Prefetch next error:', error);
+    if (error.code === 'TMDB_UNAVAILABLE') {
+      return res.status(503).json({ error: 'TMDB unavailable', hasNext: null, jobId: null, nextEpisode: null });
+    }
+    res.status(500).json({ error: 'Prefetch failed' });
+  }
+});
+
+/**
+ * POST /api/vod/prefetch-promote/:jobId
+ * The user moved on to a prefetched episode - turn the job into a normal one
+ *
+ * If the job is still running the client keeps polling /stream-url/progress/:jobId.
+ */
+router.post('/prefetch-promote/:jobId', async (req, res) => {
+  try {
+    const userId = req.user.sub;
+    let job = downloadJobManager.getJob(req.params.jobId);
+
+    if (!job || job.userInfo?.userId !== userId) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job.isPrefetch) {
+      job = downloadJobManager.promoteJob(job.jobId);
+      downloadQueue.prioritize(job.jobId, 'interactive');
+
+      // Still-running jobs are tracked by the processor when they complete
+      if (job.status === 'completed') {
+        try {
+          playbackHistoryService.trackPlayback(
+            job.contentInfo,
+            { ...job.userInfo, ip: req.ip || req.connection.remoteAddress || 'unknown' },
+            job.streamSource || 'rd-download',
+            job.streamUrl,
+            job.fileName
+          );
+        } catch (err) {
+          logger.warn('Failed to track playback:', err.message);
         }
-        // Ignore other phases (adding, selecting, unrestricting) - those are quick
       }
-    );
 
-    // Verify we got the link
-    if (!result || !result.download) {
-      throw new Error('Failed to get stream URL from Real-Debrid');
+      logger.info(`Promoted prefetch job ${job.jobId} (${job.status})`);
     }
 
-    logger.info(`[RD Download] Got unrestricted link (full): ${result.download}`);
+    const { tmdbId, title, year, type, season, episode } = job.contentInfo;
+    const failed = job.status === 'error';
+    // undefined when TMDB is unavailable - hasNext stays a boolean for the
+    // client's DTO, nextEpisodeUnknown tells it apart from a series finale
+    const next = job.nextEpisode !== undefined
+      ? job.nextEpisode
+      : await getNextEpisode(tmdbId, season, episode).catch(() => undefined);
 
-    // Cache the result for future users
-    await rdCacheService.cacheLink({
-      tmdbId,
-      title,
-      year,
-      type,
-      season,
-      episode,
-      streamUrl: result.download,
-      fileName: result.filename
+    res.json({
+      success: !failed,
+      status: failed ? 'failed' : job.status,
+      streamUrl: job.status === 'completed' ? job.streamUrl : null,
+      progress: job.progress,
+      message: job.message,
+      error: failed ? job.error : null,
+      hasNext: !!next,
+      nextEpisodeUnknown: next === undefined,
+      nextEpisode: next ? { season: next.season, episode: next.episode, title: next.title } : null,
+      contentInfo: { tmdbId, title, year, type, season, episode },
+      skipMarkers: job.skipMarkers || null
     });
+  } catch (error) {
+    logger.error('Prefetch promote error:', error);
+    res.status(500).json({ error: 'Promote failed' });
+  }
+});
 
-    // FINAL: Only NOW set status to 'completed' with the verified stream URL
-    // The client will ONLY start playback when it sees status=completed AND streamUrl exists
-    downloadJobManager.updateJob(jobId, {
-      status: 'completed',
-      progress: 100,
-      message: 'Ready to play!',
-      streamUrl: result.download,
-      fileName: result.filename,
-      fileSize: result.filesize || result.bytes || null
-    });
+/**
+ * POST /api/vod/subtitles/search
+ * Find subtitles for a title/episode (cached on the server after the first download)
+ *
+ * Without languageCode the server's default languages are used. With force (and
+ * languageCode) the cache is skipped and a single `{ success, subtitle }` is returned.
+ */
+router.post('/subtitles/search', async (req, res) => {
+  try {
+    const { type, languageCode, force } = req.body;
+    // These end up in the cache directory name - whole numbers only (season 0 holds specials)
+    const toNumber = (value, min) => (/^\d+$/.test(String(value)) && Number(value) >= min ? Number(value) : null);
+    const tmdbId = toNumber(req.body.tmdbId, 1);
+    const season = toNumber(req.body.season, 0);
+    const episode = toNumber(req.body.episode, 1);
+
+    if (!tmdbId || !type || (type === 'tv' && (season === null || episode === null))) {
+      return res.status(400).json({ error: 'tmdbId and type (plus season/episode for TV) are required, as whole numbers' });
+    }
 
-    // Also track as playback for monitoring dashboard (non-blocking)
-    try {
-      const job = downloadJobManager.getJob(jobId);
-      if (job && job.userInfo) {
-        downloadJobManager.trackPlayback(
-          contentInfo,
-          job.userInfo,
-          'rd-download',
-          result.download,
-          result.filename
-        );
+    const contentInfo = { tmdbId, type, season, episode };
+
+    if (force) {
+      if (!languageCode) {
+        return res.status(400).json({ error: 'languageCode is required with force' });
       }
-    } catch (err) {
-      logger.warn('Failed to track download playback:', err.message);
+
+      const subtitle = await subtitleService.getSubtitle(contentInfo, languageCode, { force: true });
+      return res.json({ success: !!subtitle, subtitle: subtitle ? toSubtitleDto(req, subtitle) : null });
     }
 
-    logger.info(`Download job ${jobId} completed successfully, stream URL ready`);
+    const languageCodes = languageCode ? [languageCode] : subtitleService.getDefaultLanguages();
+    const subtitles = await subtitleService.search(contentInfo, languageCodes);
+
+    res.json({ subtitles: subtitles.map(subtitle => toSubtitleDto(req, subtitle)) });
   } catch (error) {
-    logger.error(`Job ${jobId} failed:`, {
-      message: error.message,
-      code: error.code,
-      stack: error.stack?.split('\n').slice(0, 3)
-    });
+    logger.error('Subtitle search error:', error);
+    res.status(500).json({ error: 'Subtitle search failed' });
+  }
+});
+
+/**
+ * GET /api/vod/subtitles/file/:key/:language.vtt
+ * Serve a cached subtitle as WebVTT
+ */
+router.get('/subtitles/file/:key/:languageCode.vtt', (req, res) => {
+  const filePath = subtitleService.getFilePath(req.params.key, req.params.languageCode);
+
+  if (!filePath) {
+    return res.status(404).json({ error: 'Subtitle not found' });
+  }
+
+  res.type('text/vtt');
+  res.sendFile(filePath);
+});
+
+/**
+ * GET /api/vod/subtitles/embedded/:fileKey/:streamIndex.vtt
+ * A text subtitle track of an MKV file, extracted to WebVTT (cached after the first request)
+ */
+router.get('/subtitles/embedded/:fileKey/:streamIndex.vtt', async (req, res) => {
+  // Stop reading the file (from RD, through Zurg) when the client gives up
+  const controller = new AbortController();
+  req.on('close', () => controller.abort());
+
+  try {
+    const filePath = await embeddedTrackService.getSubtitleFile(
+      req.params.fileKey,
+      parseInt(req.params.streamIndex, 10),
+      { signal: controller.signal }
+    );
+
+    if (!filePath) {
+      return res.status(404).json({ error: 'Subtitle track not found' });
+    }
 
-    downloadJobManager.updateJob(jobId, {
-      status: 'error',
-      error: error.message,
-      message: `Error: ${error.message}`
+    res.type('text/vtt');
+    res.sendFile(filePath);
+  } catch (error) {
+    if (error.code === 'ABORTED') {
+      return;
+    }
+    if (error.code === 'NO_CUES') {
+      return res.status(422).json({ error: error.message });
+    }
+    logger.error('Embedded subtitle error:', error);
+    res.status(500).json({ error: 'Subtitle extraction failed' });
+  }
+});
+
+/**
+ * POST /api/vod/tracks
+ * Audio and subtitle tracks embedded in the file being played
+ *
+ * Body: { tmdbId, title, year, type, season, episode, fileName } (fileName from the stream response)
+ */
+router.post('/tracks', async (req, res) => {
+  try {
+    const { tmdbId, title, year, type, season, episode, fileName } = req.body;
+
+    if (!title || !fileName) {
+      return res.status(400).json({ error: 'title and fileName are required' });
+    }
+
+    const contentInfo = { tmdbId, title, year, type, season, episode };
+    const filePath = await findZurgFile(contentInfo, fileName);
+    const embeddedTracks = filePath && await embeddedTrackService.getTracks(filePath);
+
+    if (!embeddedTracks) {
+      return res.status(404).json({ error: 'File not found on the Zurg mount or not an MKV file' });
+    }
+
+    res.json({
+      tracks: embeddedTrackService.describeTracks(embeddedTracks.tracks),
+      subtitles: embeddedTrackService.getSubtitleEntries(embeddedTracks.fileKey, embeddedTracks.tracks)
+        .map(track => toEmbeddedSubtitleDto(req, track))
     });
+  } catch (error) {
+    logger.error('Embedded tracks error:', error);
+    res.status(500).json({ error: 'Failed to read tracks' });
   }
-}
+});
 
 /**
  * POST /api/vod/stream-url
@@ -386,29 +1010,29 @@ router.post('/stream-url', async (req, res) => {
 
     logger.info(`Getting stream URL for: ${title} (${year})`);
 
+    const profile = qualityProfileService.getForUser(userId);
+
     // First check Zurg (preferred due to cache info)
     const zurgResult = await searchZurg({
       title,
       year,
       type, // Pass 'tv' or 'movie' directly - zurg-client expects 'tv' not 'episode'
       season,
-      episode
+      episode,
+      profile
     });
 
     if (zurgResult.match) { // Only use good quality, skip fallbacks
       const file = zurgResult.match;
 
       // Use direct Zurg access
-      const mountPath = process.env.ZURG_MOUNT_PATH || '/mnt/zurg';
-      const relativePath = file.filePath.replace(mountPath, '');
-      // URL encode path segments for ExoPlayer (preserve slashes)
-      const encodedPath = relativePath.split("/").map(s => encodeURIComponent(s)).join("/");
-      const streamUrl = `http://192.168.4.66:9999/http${encodedPath}`;
+      const { streamUrl, streamRoute } = getZurgStreamUrl(file.filePath, userId, getStreamClient(req));
 
-      logger.info(`Zurg match found, streaming from: ${streamUrl}`);
+      logger.info(`Zurg match found, streaming from (${streamRoute}): ${streamUrl}`);
 
       return res.json({
         streamUrl,
+        streamRoute,
         source: 'zurg',
         fileName: file.fileName
       });
@@ -434,7 +1058,9 @@ router.post('/stream-url', async (req, res) => {
       year,
       type,
       season,
-      episode
+      episode,
+      rdApiKey,
+      profile
     });
 
     if (!searchResult || !searchResult.magnetUrl) {
@@ -505,6 +1131,7 @@ router.post('/stream-url', async (req, res) => {
 
     return res.json({
       streamUrl: streamResult.streamUrl,
+      streamRoute: 'direct',
       source: 'rd',
       fileName: streamResult.fileName || searchResult.title
     });
@@ -605,6 +1232,13 @@ router.post('/session/heartbeat', (req, res) => {
       DO UPDATE SET last_heartbeat_at = datetime('now')
     `).run(userId, clientIp);
 
+    // Extend the current playback's end time/duration (non-blocking)
+    try {
+      playbackHistoryService.recordHeartbeat(userId, clientIp);
+    } catch (err) {
+      logger.warn('Failed to record playback heartbeat:', err.message);
+    }
+
     res.json({ success: true });
   } catch (error) {
     logger.error('VOD heartbeat error:', error);
@@ -627,6 +1261,12 @@ router.post('/session/end', (req, res) => {
       WHERE user_id = ? AND ip_address = ?
     `).run(userId, clientIp);
 
+    try {
+      playbackHistoryService.endPlayback(userId, clientIp);
+    } catch (err) {
+      logger.warn('Failed to end playback history entry:', err.message);
+    }
+
     logger.info(`VOD session ended for user ${req.user.username} on ${clientIp}`);
 
     res.json({ success: true });
@@ -636,70 +1276,4 @@ router.post('/session/end', (req, res) => {
   }
 });
 
-
-// Proxy streaming route for Zurg files  
-router.get("/stream/:streamId", async (req, res) => {
-  const { streamId } = req.params;
-  
-  // Decode the streamId (base64url encoded file path)
-  let filePath;
-  try {
-    filePath = Buffer.from(streamId, "base64url").toString("utf-8");
-  } catch (err) {
-    return res.status(400).json({ error: "Invalid stream ID" });
-  }
-  
-  logger.info(`[Stream Proxy] Request for: ${filePath}`);
-  
-  // Verify file exists
-  if (!require("fs").existsSync(filePath)) {
-    logger.error(`[Stream Proxy] File not found: ${filePath}`);
-    return res.status(404).json({ error: "File not found" });
-  }
-  
-  const stat = require("fs").statSync(filePath);
-  const fileSize = stat.size;
-  const range = req.headers.range;
-  
-  // Detect MIME type
-  const path = require("path");
-  const ext = path.extname(filePath).toLowerCase();
-  const mimeTypes = {
-    ".mp4": "video/mp4",
-    ".mkv": "video/x-matroska",
-    ".avi": "video/x-msvideo",
-    ".mov": "video/quicktime",
-    ".webm": "video/webm"
-  };
-  const contentType = mimeTypes[ext] || "application/octet-stream";
-  
-  if (range) {
-    const parts = range.replace(/bytes=/, "").split("-");
-    const start = parseInt(parts[0], 10);
-    const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-    const chunksize = (end - start) + 1;
-    
-    logger.info(`[Stream Proxy] Range: ${start}-${end}/${fileSize}`);
-    
-    const file = require("fs").createReadStream(filePath, { start, end });
-    const head = {
-      "Content-Range": `bytes ${start}-${end}/${fileSize}`,
-      "Accept-Ranges": "bytes",
-      "Content-Length": chunksize,
-      "Content-Type": contentType,
-    };
-    res.writeHead(206, head);
-    file.pipe(res);
-  } else {
-    const head = {
-      "Content-Length": fileSize,
-      "Content-Type": contentType,
-      "Accept-Ranges": "bytes"
-    };
-    res.writeHead(200, head);
-    require("fs").createReadStream(filePath).pipe(res);
-  }
-});
-
-
 module.exports = router;
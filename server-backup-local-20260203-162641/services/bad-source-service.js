@@ -0,0 +1,103 @@
+const { db } = require('../db/init');
+const logger = require('../utils/logger');
+
+/**
+ * Releases reported as bad for a title/episode
+ *
+ * Exclusions are shared by every user, so one bad file stops being served to
+ * the whole household. A release is identified by its info hash when known,
+ * otherwise by its release title or file name.
+ */
+class BadSourceService {
+  /**
+   * Record a bad release
+   *
+   * @param {Object} contentInfo - { tmdbId, type, season, episode }
+   * @param {Object} release - { releaseHash, releaseTitle, fileName }
+   * @param {string} [reason] - Why it was reported
+   * @param {number} [userId] - Reporting user
+   * @returns {number} Number of times this release has been reported
+   */
+  reportBadSource({ tmdbId, type, season, episode }, { releaseHash, releaseTitle, fileName }, reason, userId) {
+    if (!releaseHash && !releaseTitle && !fileName) {
+      logger.warn(`[Bad Source] Nothing identifies the reported release for ${type} ${tmdbId}, not excluding`);
+      return 0;
+    }
+
+    db.prepare(`
+      INSERT INTO bad_sources
+      (tmdb_id, type, season, episode, release_hash, release_title, file_name, reason, reported_by, reported_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      tmdbId,
+      type,
+      season ?? null,
+      episode ?? null,
+      releaseHash || null,
+      releaseTitle || null,
+      fileName || null,
+      reason || null,
+      userId ?? null,
+      Date.now()
+    );
+
+    logger.info(`[Bad Source] ${type} ${tmdbId} ${season ?? ''}x${episode ?? ''}: ${releaseTitle || fileName} (${reason || 'no reason'})`);
+
+    const release = { infoHash: releaseHash, title: releaseTitle, fileName };
+    return this.getExclusions({ tmdbId, type, season, episode })
+      .filter(e => this.matches(e, release)).length;
+  }
+
+  /**
+   * Get every report for a title/episode
+   */
+  getExclusions({ tmdbId, type, season, episode }) {
+    return db.prepare(`
+      SELECT release_hash, release_title, file_name, reason, reported_at
+      FROM bad_sources
+      WHERE tmdb_id = ? AND type = ? AND season IS ? AND episode IS ?
+      ORDER BY reported_at DESC
+    `).all(tmdbId, type, season ?? null, episode ?? null).map(row => ({
+      releaseHash: row.release_hash,
+      releaseTitle: row.release_title,
+      fileName: row.file_name,
+      reason: row.reason,
+      reportedAt: new Date(row.reported_at).toISOString()
+    }));
+  }
+
+  /**
+   * Number of distinct releases excluded for a title/episode
+   */
+  countExcluded(exclusions) {
+    return new Set(exclusions.map(e => e.releaseHash || e.releaseTitle || e.fileName)).size;
+  }
+
+  /**
+   * Whether a candidate ({ infoHash, title, fileName }) matches a reported release
+   */
+  matches(exclusion, { infoHash, title, fileName }) {
+    const same = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+    return same(exclusion.releaseHash, infoHash) ||
+      same(exclusion.releaseTitle, title) ||
+      same(exclusion.fileName, fileName) ||
+      same(exclusion.fileName, title);
+  }
+
+  /**
+   * Get the lowercase BitTorrent info hash from a magnet link
+   */
+  getInfoHash(magnetUrl) {
+    return magnetUrl?.match(/btih:([a-z0-9]+)/i)?.[1]?.toLowerCase() || null;
+  }
+
+  /**
+   * Whether a candidate matches any of the given exclusions
+   */
+  isExcluded(exclusions, candidate) {
+    return exclusions.some(e => this.matches(e, candidate));
+  }
+}
+
+module.exports = new BadSourceService();
@@ -0,0 +1,131 @@
+const { db } = require('../db/init');
+const logger = require('../utils/logger');
+
+// Fraction of the measured bandwidth a stream may use (headroom for bitrate spikes)
+const SAFETY_MARGIN = parseFloat(process.env.BANDWIDTH_SAFETY_MARGIN || '0.7');
+
+// Measurements older than this should be repeated
+const STALE_AFTER = 24 * 60 * 60 * 1000; // 24 hours
+
+// Tests shorter than this are too noisy to trust
+const MIN_RELIABLE_DURATION_MS = 2000;
+
+const HISTORY_RETENTION = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+/**
+ * Per-user bandwidth measurements and the bitrate limits derived from them
+ */
+class BandwidthService {
+  /**
+   * Store a measurement reported by a client
+   *
+   * @param {number} userId
+   * @param {Object} measurement - { measuredMbps, durationMs, trigger }
+   * @returns {{recorded: number, reliable: boolean, maxBitrate: number}}
+   */
+  recordMeasurement(userId, { measuredMbps, durationMs = null, trigger = null }) {
+    db.prepare(`
+      INSERT INTO bandwidth_measurements (user_id, measured_mbps, duration_ms, trigger, measured_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(userId, measuredMbps, durationMs, trigger, Date.now());
+
+    const reliable = this.isReliable(durationMs);
+
+    logger.info(`[Bandwidth] User ${userId}: ${measuredMbps.toFixed(1)} Mbps (${trigger || 'unknown'}, ${durationMs ?? '?'}ms${reliable ? '' : ', unreliable'})`);
+
+    return {
+      recorded: measuredMbps,
+      reliable,
+      maxBitrate: this.toMaxBitrate(measuredMbps)
+    };
+  }
+
+  /**
+   * Get the bandwidth status for a user (shape of GET /api/bandwidth/status)
+   */
+  getStatus(userId) {
+    const latest = this.getLatest(userId);
+
+    if (!latest) {
+      return {
+        measuredBandwidthMbps: null,
+        safetyMargin: SAFETY_MARGIN,
+        effectiveBandwidthMbps: null,
+        measuredAt: null,
+        hasMeasurement: false,
+        maxBitrateMbps: null,
+        isStale: false,
+        needsTest: true,
+        suggestRetest: false
+      };
+    }
+
+    const isStale = Date.now() - latest.measured_at > STALE_AFTER;
+    const effective = this.toMaxBitrate(latest.measured_mbps);
+
+    return {
+      measuredBandwidthMbps: latest.measured_mbps,
+      safetyMargin: SAFETY_MARGIN,
+      effectiveBandwidthMbps: effective,
+      measuredAt: new Date(latest.measured_at).toISOString(),
+      hasMeasurement: true,
+      maxBitrateMbps: effective,
+      isStale,
+      needsTest: false,
+      suggestRetest: isStale || !this.isReliable(latest.duration_ms)
+    };
+  }
+
+  /**
+   * Highest stream bitrate (Mbps) a user's connection can sustain, or null if never measured
+   */
+  getMaxBitrateMbps(userId) {
+    const latest = this.getLatest(userId);
+    return latest ? this.toMaxBitrate(latest.measured_mbps) : null;
+  }
+
+  getLatest(userId) {
+    return db.prepare(`
+      SELECT measured_mbps, duration_ms, trigger, measured_at
+      FROM bandwidth_measurements
+      WHERE user_id = ?
+      ORDER BY measured_at DESC
+      LIMIT 1
+    `).get(userId);
+  }
+
+  /**
+   * Average bitrate (Mbps) of a file played over durationMinutes
+   */
+  estimateBitrateMbps(sizeBytes, durationMinutes) {
+    if (!sizeBytes || !durationMinutes) {
+      return null;
+    }
+    return (sizeBytes * 8) / (durationMinutes * 60) / 1000000;
+  }
+
+  // Measurements without a duration come from the fixed-size test, which runs long enough
+  isReliable(durationMs) {
+    return durationMs == null || durationMs >= MIN_RELIABLE_DURATION_MS;
+  }
+
+  toMaxBitrate(measuredMbps) {
+    return Math.round(measuredMbps * SAFETY_MARGIN * 10) / 10;
+  }
+
+  /**
+   * Delete measurements older than the retention window (run periodically)
+   */
+  cleanupOld() {
+    const cutoff = Date.now() - HISTORY_RETENTION;
+    const result = db.prepare('DELETE FROM bandwidth_measurements WHERE measured_at < ?').run(cutoff);
+
+    if (result.changes > 0) {
+      logger.info(`[Bandwidth] Cleaned up ${result.changes} old measurements`);
+    }
+
+    return result.changes;
+  }
+}
+
+module.exports = new BandwidthService();
@@ -0,0 +1,210 @@
+const { QUALITY_THRESHOLDS } = require('@duckflix/zurg-client');
+const { parseRelease, getResolutionLabel } = require('@duckflix/release-parser');
+const logger = require('../utils/logger');
+const bandwidthService = require('./bandwidth-service');
+const qualityProfileService = require('./quality-profile-service');
+const { searchZurg } = require('./zurg-search');
+const { searchCandidates } = require('./prowlarr-service');
+
+// Points per resolution (height); unknown resolutions sit between 480p and 720p
+const RESOLUTION_POINTS = { 2160: 40, 1080: 35, 720: 22, 480: 10, 360: 5 };
+const UNKNOWN_RESOLUTION_POINTS = 15;
+
+const SCORE = {
+  maxDensity: 10, // MB/min above the minimum, 1 point per MB/min (below the minimum + 10 with preferSmaller)
+  belowMinDensity: -25, // under the profile's minMbPerMinute
+  preferredLanguage: 10, // tagged with one of the profile's languages
+  otherLanguage: -30, // only tagged with languages the profile doesn't list
+  maxSeeders: 15, // log scale: 10 seeders ~ 8, 100 ~ 15
+  noSeeders: -20,
+  instant: 20, // cached on RD or already in the account (Zurg) - plays without waiting
+  tooHeavy: -40, // estimated bitrate above what the user's connection can sustain
+  lowQualitySource: -80, // CAM, telesync, screener - below anything watchable, even when cached
+  extras: -50, // samples, trailers, featurettes
+  goodSource: 5 // BluRay/REMUX/WEB-DL
+};
+
+const GOOD_SOURCES = ['REMUX', 'BluRay', 'WEB-DL', 'WEBRip'];
+
+/**
+ * Score one candidate; every adjustment is recorded as a human-readable reason
+ *
+ * @param {Object} candidate - Normalized candidate (see resolveContent)
+ * @param {Object} context - { maxBitrateMbps, profile } (profile defaults to the built-in one)
+ * @returns {{score: number, reasons: string[]}}
+ */
+function scoreCandidate(candidate, { maxBitrateMbps, profile = qualityProfileService.getDefaults() }) {
+  const reasons = [];
+  let score = 0;
+
+  const add = (points, reason) => {
+    score += points;
+    reasons.push(`${reason} (${points >= 0 ? '+' : ''}${points})`);
+  };
+
+  add(RESOLUTION_POINTS[candidate.resolution] ?? UNKNOWN_RESOLUTION_POINTS, candidate.resolution ? `${candidate.resolution}p` : 'unknown resolution');
+
+  if (candidate.mbPerMinute != null) {
+    if (candidate.mbPerMinute < profile.minMbPerMinute) {
+      add(SCORE.belowMinDensity, `${candidate.mbPerMinute} MB/min, below ${profile.minMbPerMinute}`);
+    } else {
+      const points = Math.min(SCORE.maxDensity, Math.round(candidate.mbPerMinute - profile.minMbPerMinute));
+      if (profile.preferSmaller) {
+        add(SCORE.maxDensity - points, `${candidate.mbPerMinute} MB/min, prefer smaller`);
+      } else {
+        add(points, `${candidate.mbPerMinute} MB/min`);
+      }
+    }
+  }
+
+  const languageRank = qualityProfileService.getLanguageRank(profile, candidate.release);
+  if (profile.audioLanguages.length > 0 && languageRank === 0) {
+    add(SCORE.preferredLanguage, 'preferred language');
+  } else if (languageRank === 2) {
+    add(SCORE.otherLanguage, `${candidate.release.languages.join('/')} audio`);
+  }
+
+  if (candidate.kind === 'torrent') {
+    if (!candidate.seeders) {
+      add(SCORE.noSeeders, 'no seeders');
+    } else {
+      const points = Math.min(SCORE.maxSeeders, Math.round(Math.log10(candidate.seeders + 1) * 7.5));
+      add(points, `${candidate.seeders} seeders`);
+    }
+  }
+
+  if (candidate.instant) {
+    add(SCORE.instant, candidate.kind === 'zurg' ? 'already in RD account' : 'cached on RD');
+  }
+
+  if (maxBitrateMbps && candidate.bitrateMbps > maxBitrateMbps) {
+    add(SCORE.tooHeavy, `~${candidate.bitrateMbps.toFixed(1)} Mbps exceeds ${maxBitrateMbps} Mbps`);
+  }
+
+  const { release } = candidate;
+  if (release.lowQualitySource) {
+    add(SCORE.lowQualitySource, `${release.source} release`);
+  } else if (GOOD_SOURCES.includes(release.source)) {
+    add(SCORE.goodSource, `${release.source} source`);
+  }
+
+  if (release.isSample || release.isExtras) {
+    add(SCORE.extras, release.isSample ? 'sample' : 'extras');
+  }
+
+  return { score, reasons };
+}
+
+/**
+ * Zurg files for a title (the quality match, the low-quality fallback and any other match)
+ */
+async function getZurgCandidates({ title, year, type, season, episode }, profile) {
+  const zurgResult = await searchZurg({ title, year, type, season, episode, profile });
+  const files = [...(zurgResult.matches || []), zurgResult.match, zurgResult.fallback]
+    .filter(Boolean)
+    .filter((file, index, all) => all.findIndex(f => f.filePath === file.filePath) === index);
+
+  return files.map(file => ({
+    kind: 'zurg',
+    title: file.fileName,
+    filePath: file.filePath,
+    infoHash: null,
+    release: file.release || parseRelease(file.fileName),
+    sizeBytes: file.fileSize,
+    resolution: file.resolution || null,
+    mbPerMinute: file.mbPerMinute,
+    bitrateMbps: bandwidthService.estimateBitrateMbps(file.fileSize, file.estimatedDuration),
+    seeders: null,
+    instant: true
+  }));
+}
+
+/**
+ * Prowlarr results for a title, with RD cache status when an API key is given
+ */
+async function getTorrentCandidates(contentInfo, rdApiKey, profile) {
+  let results;
+  try {
+    results = await searchCandidates({ ...contentInfo, rdApiKey, profile });
+  } catch (err) {
+    logger.warn(`Prowlarr candidates unavailable: ${err.message}`);
+    return [];
+  }
+
+  const runtime = contentInfo.duration || (contentInfo.type === 'movie'
+    ? QUALITY_THRESHOLDS.MOVIE_DURATION
+    : QUALITY_THRESHOLDS.EPISODE_DURATION.default);
+
+  return results.map(r => {
+    const release = r.release || parseRelease(r.title);
+    return {
+      kind: 'torrent',
+      title: r.title,
+      magnetUrl: r.magnetUrl,
+      infoHash: r.infoHash,
+      release,
+      sizeBytes: r.size || null,
+      resolution: release.resolution || null,
+      mbPerMinute: r.size ? Math.round(r.size / (1024 * 1024) / runtime * 10) / 10 : null,
+      bitrateMbps: r.bitrateMbps,
+      seeders: r.seeders || 0,
+      indexer: r.indexer,
+      instant: r.rdCached
+    };
+  });
+}
+
+/**
+ * Find and rank every source for a title
+ *
+ * Zurg files and Prowlarr results are scored on one scale (resolution,
+ * MB/min, seeders, instant availability, release quality, languages and the
+ * user's bandwidth) and returned best first, each with the reasons for its
+ * score. Sources the quality profile rules out aren't returned.
+ *
+ * @param {Object} contentInfo - { title, year, type, season, episode, duration? }
+ * @param {Object} [options]
+ * @param {string} [options.rdApiKey] - Enables the RD instant availability check
+ * @param {number} [options.maxBitrateMbps] - Highest bitrate the user's connection can sustain
+ * @param {Object} [options.profile] - User's quality profile (see quality-profile-service)
+ * @returns {Promise<{candidates: Object[], best: Object|null, magnetUrl: string|null,
+ *   zurgPath: string|null, quality: Object|null}>} magnetUrl/zurgPath/quality describe the best candidate
+ */
+async function resolveContent(contentInfo, { rdApiKey = null, maxBitrateMbps = null, profile = qualityProfileService.getDefaults() } = {}) {
+  const [zurgCandidates, torrentCandidates] = await Promise.all([
+    getZurgCandidates(contentInfo, profile),
+    getTorrentCandidates({ ...contentInfo, maxBitrateMbps }, rdApiKey, profile)
+  ]);
+
+  const candidates = [...zurgCandidates, ...torrentCandidates]
+    .map(candidate => ({
+      ...candidate,
+      quality: getResolutionLabel(candidate.resolution) || 'HD',
+      ...scoreCandidate(candidate, { maxBitrateMbps, profile })
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  const best = candidates[0] || null;
+
+  logger.info(`Resolved ${contentInfo.title}: ${zurgCandidates.length} Zurg + ${torrentCandidates.length} Prowlarr candidate(s)` +
+    (best ? `, best: ${best.title} (${best.score})` : ''));
+
+  return {
+    candidates,
+    best,
+    magnetUrl: best?.kind === 'torrent' ? best.magnetUrl : null,
+    zurgPath: best?.kind === 'zurg' ? best.filePath : null,
+    quality: best && {
+      resolution: best.resolution,
+      label: best.quality,
+      mbPerMinute: best.mbPerMinute,
+      sizeMB: best.sizeBytes ? Math.round(best.sizeBytes / (1024 * 1024)) : null,
+      score: best.score
+    }
+  };
+}
+
+module.exports = {
+  resolveContent,
+  scoreCandidate
+};
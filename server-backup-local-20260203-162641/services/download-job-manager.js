@@ -1,61 +1,317 @@
+const EventEmitter = require('events');
+const { db } = require('../db/init');
+const logger = require('../utils/logger');
+
+// Finished (completed/error) jobs are kept this long so clients can still read the result
+const FINISHED_JOB_TTL = 60 * 60 * 1000; // 1 hour
+
+const ACTIVE_STATUSES = ['searching', 'downloading'];
+
 /**
- * In-memory store for active RD download jobs
+ * Store for RD download jobs
+ *
+ * Jobs are cached in memory and written through to the download_jobs table,
+ * so in-flight downloads can be picked back up after a server restart.
+ *
+ * Events:
+ * - 'update' (job) / 'job:<jobId>' (job) - emitted after every updateJob
+ * - 'deleted' (jobId) / 'deleted:<jobId>' () - emitted when a job is removed
  */
-class DownloadJobManager {
+class DownloadJobManager extends EventEmitter {
   constructor() {
+    super();
     this.jobs = new Map();
 
+    // One listener per open progress stream, so no fixed limit
+    this.setMaxListeners(0);
+
     // Cleanup old jobs every 5 minutes
     setInterval(() => {
       this.cleanupOldJobs();
     }, 5 * 60 * 1000);
   }
 
-  createJob(jobId, contentInfo) {
-    this.jobs.set(jobId, {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.prefetch] - Background prefetch of an upcoming episode;
+   *   not tracked as playback until it's promoted (see promoteJob)
+   */
+  createJob(jobId, contentInfo, userInfo = {}, options = {}) {
+    const now = Date.now();
+    const job = {
       jobId,
       contentInfo,
+      userInfo,
       progress: 0,
       status: 'searching', // 'searching' | 'downloading' | 'completed' | 'error'
       message: 'Searching for content...',
+      source: null,
+      quality: null,
+      magnetUrl: null,
+      rdTorrentId: null,
       streamUrl: null,
       fileName: null,
+      fileSize: null,
       error: null,
-      createdAt: Date.now()
-    });
+      rejectedCandidates: [],
+      isPrefetch: !!options.prefetch,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.jobs.set(jobId, job);
+
+    db.prepare(`
+      INSERT INTO download_jobs
+      (job_id, user_id, username, ip_address, tmdb_id, title, year, type, season, episode,
+       status, progress, message, is_prefetch, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      jobId,
+      userInfo.userId ?? null,
+      userInfo.username ?? null,
+      userInfo.ip ?? null,
+      contentInfo.tmdbId ?? null,
+      contentInfo.title ?? null,
+      contentInfo.year ?? null,
+      contentInfo.type ?? null,
+      contentInfo.season ?? null,
+      contentInfo.episode ?? null,
+      job.status,
+      job.progress,
+      job.message,
+      job.isPrefetch ? 1 : 0,
+      now,
+      now
+    );
 
     return jobId;
   }
 
   updateJob(jobId, updates) {
-    const job = this.jobs.get(jobId);
-    if (job) {
-      Object.assign(job, updates);
+    const job = this.getJob(jobId);
+    if (!job) {
+      return;
     }
+
+    Object.assign(job, updates, { updatedAt: Date.now() });
+
+    db.prepare(`
+      UPDATE download_jobs
+      SET status = ?, progress = ?, message = ?, source = ?, quality = ?, magnet_url = ?,
+          rd_torrent_id = ?, stream_url = ?, file_name = ?, file_size = ?, error = ?,
+          rejected_candidates = ?, is_prefetch = ?, updated_at = ?
+      WHERE job_id = ?
+    `).run(
+      job.status,
+      job.progress,
+      job.message,
+      job.source,
+      job.quality,
+      job.magnetUrl,
+      job.rdTorrentId,
+      job.streamUrl,
+      job.fileName,
+      job.fileSize,
+      job.error,
+      JSON.stringify(job.rejectedCandidates || []),
+      job.isPrefetch ? 1 : 0,
+      job.updatedAt,
+      jobId
+    );
+
+    this.emit('update', job);
+    this.emit(`job:${jobId}`, job);
   }
 
   getJob(jobId) {
-    return this.jobs.get(jobId);
+    if (this.jobs.has(jobId)) {
+      return this.jobs.get(jobId);
+    }
+
+    // Not cached (e.g. after a restart) - fall back to the database
+    const row = db.prepare('SELECT * FROM download_jobs WHERE job_id = ?').get(jobId);
+    if (!row) {
+      return undefined;
+    }
+
+    const job = this.rowToJob(row);
+    this.jobs.set(jobId, job);
+    return job;
+  }
+
+  /**
+   * Record a source that was tried and rejected for this job
+   */
+  rejectCandidate(jobId, candidate, reason) {
+    const job = this.getJob(jobId);
+    if (!job) {
+      return;
+    }
+
+    this.updateJob(jobId, {
+      rejectedCandidates: [
+        ...(job.rejectedCandidates || []),
+        {
+          rank: candidate.rank ?? null,
+          title: candidate.title,
+          infoHash: candidate.infoHash || null,
+          reason,
+          rejectedAt: new Date().toISOString()
+        }
+      ]
+    });
+  }
+
+  /**
+   * Job already searching/downloading a title/episode
+   * (jobs that follow another job are left out - see processRdDownload)
+   */
+  findActiveJob({ tmdbId, type, season, episode }, excludeJobId) {
+    for (const job of this.jobs.values()) {
+      const content = job.contentInfo;
+
+      if (job.jobId !== excludeJobId &&
+          !job.followsJobId &&
+          ACTIVE_STATUSES.includes(job.status) &&
+          content.tmdbId === tmdbId &&
+          content.type === type &&
+          (content.season ?? null) === (season ?? null) &&
+          (content.episode ?? null) === (episode ?? null)) {
+        return job;
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * In-memory job using an RD torrent (e.g. a follower that took over a cancelled job's download)
+   */
+  findJobByTorrent(rdTorrentId) {
+    for (const job of this.jobs.values()) {
+      if (job.rdTorrentId === rdTorrentId) {
+        return job;
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Unfinished or completed prefetch job a user already has for an episode
+   */
+  findPrefetchJob({ tmdbId, season, episode }, userId) {
+    const row = db.prepare(`
+      SELECT job_id FROM download_jobs
+      WHERE is_prefetch = 1 AND user_id = ? AND tmdb_id = ? AND season IS ? AND episode IS ?
+        AND status != 'error'
+      ORDER BY created_at DESC
+      LIMIT 1
+    `).get(userId, tmdbId, season ?? null, episode ?? null);
+
+    return row ? this.getJob(row.job_id) : undefined;
+  }
+
+  /**
+   * Turn a prefetch job into a normal job (the user started watching it)
+   */
+  promoteJob(jobId) {
+    this.updateJob(jobId, { isPrefetch: false });
+    return this.getJob(jobId);
   }
 
   deleteJob(jobId) {
     this.jobs.delete(jobId);
+    db.prepare('DELETE FROM download_jobs WHERE job_id = ?').run(jobId);
+
+    this.emit('deleted', jobId);
+    this.emit(`deleted:${jobId}`);
+  }
+
+  /**
+   * Get jobs that were still searching/downloading (used to resume after a restart)
+   */
+  getUnfinishedJobs() {
+    const placeholders = ACTIVE_STATUSES.map(() => '?').join(', ');
+    const rows = db.prepare(`
+      SELECT * FROM download_jobs
+      WHERE status IN (${placeholders})
+      ORDER BY created_at ASC
+    `).all(...ACTIVE_STATUSES);
+
+    return rows.map(row => this.getJob(row.job_id));
   }
 
-  // Cleanup jobs older than 5 minutes
+  /**
+   * Most recent completed job for a title/episode (e.g. to find the RD torrent it came from)
+   */
+  findCompletedJob({ tmdbId, season, episode }) {
+    const row = db.prepare(`
+      SELECT job_id FROM download_jobs
+      WHERE tmdb_id = ? AND season IS ? AND episode IS ? AND status = 'completed'
+      ORDER BY updated_at DESC
+      LIMIT 1
+    `).get(tmdbId, season ?? null, episode ?? null);
+
+    return row ? this.getJob(row.job_id) : undefined;
+  }
+
+  /**
+   * Convert a download_jobs row to the in-memory job shape
+   */
+  rowToJob(row) {
+    return {
+      jobId: row.job_id,
+      contentInfo: {
+        tmdbId: row.tmdb_id,
+        title: row.title,
+        year: row.year,
+        type: row.type,
+        season: row.season,
+        episode: row.episode
+      },
+      userInfo: {
+        userId: row.user_id,
+        username: row.username,
+        ip: row.ip_address
+      },
+      progress: row.progress,
+      status: row.status,
+      message: row.message,
+      source: row.source,
+      quality: row.quality,
+      magnetUrl: row.magnet_url,
+      rdTorrentId: row.rd_torrent_id,
+      streamUrl: row.stream_url,
+      fileName: row.file_name,
+      fileSize: row.file_size,
+      error: row.error,
+      rejectedCandidates: row.rejected_candidates ? JSON.parse(row.rejected_candidates) : [],
+      isPrefetch: !!row.is_prefetch,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Cleanup finished jobs older than FINISHED_JOB_TTL (in-flight jobs are never dropped)
   cleanupOldJobs() {
-    const fiveMinutesAgo = Date.now() - (5 * 60 * 1000);
-    let cleaned = 0;
+    const cutoff = Date.now() - FINISHED_JOB_TTL;
 
     for (const [jobId, job] of this.jobs.entries()) {
-      if (job.createdAt < fiveMinutesAgo) {
+      if (!ACTIVE_STATUSES.includes(job.status) && job.updatedAt < cutoff) {
         this.jobs.delete(jobId);
-        cleaned++;
       }
     }
 
-    if (cleaned > 0) {
-      console.log(`[Download Job Manager] Cleaned up ${cleaned} old jobs`);
+    const placeholders = ACTIVE_STATUSES.map(() => '?').join(', ');
+    const result = db.prepare(`
+      DELETE FROM download_jobs
+      WHERE status NOT IN (${placeholders}) AND updated_at < ?
+    `).run(...ACTIVE_STATUSES, cutoff);
+
+    if (result.changes > 0) {
+      logger.info(`[Download Job Manager] Cleaned up ${result.changes} old jobs`);
     }
   }
 }
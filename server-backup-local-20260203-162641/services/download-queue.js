@@ -0,0 +1,128 @@
+const logger = require('../utils/logger');
+const downloadJobManager = require('./download-job-manager');
+
+// Downloads running at once, across all users and per user
+const MAX_CONCURRENT = parseInt(process.env.RD_MAX_CONCURRENT_DOWNLOADS, 10) || 4;
+const MAX_CONCURRENT_PER_USER = parseInt(process.env.RD_MAX_DOWNLOADS_PER_USER, 10) || 2;
+
+// Lower runs first; same priority runs in arrival order
+const PRIORITIES = {
+  interactive: 0, // someone is waiting to press play
+  prefetch: 1,
+  background: 2 // e.g. jobs resumed after a restart
+};
+
+/**
+ * Queue in front of RD downloads
+ *
+ * Keeps a user queueing many episodes from pushing a dozen magnets into RD at
+ * once. Waiting jobs show their position in the job message.
+ */
+class DownloadQueue {
+  constructor() {
+    this.waiting = [];
+    this.running = new Map(); // jobId -> userId
+    this.sequence = 0;
+
+    // Cancelled while waiting - give up the place in the queue
+    downloadJobManager.on('deleted', (jobId) => {
+      const index = this.waiting.findIndex(entry => entry.jobId === jobId);
+      if (index !== -1) {
+        this.waiting.splice(index, 1);
+        this.updatePositions();
+      }
+    });
+  }
+
+  /**
+   * Run a download when a slot is free
+   *
+   * @param {string} jobId
+   * @param {number} userId
+   * @param {'interactive'|'prefetch'|'background'} priority
+   * @param {function(): Promise} run - Starts the download; the slot is held until it settles
+   */
+  enqueue(jobId, userId, priority, run) {
+    this.waiting.push({
+      jobId,
+      userId,
+      priority: PRIORITIES[priority] ?? PRIORITIES.interactive,
+      sequence: this.sequence++,
+      run
+    });
+
+    this.sort();
+    this.drain();
+  }
+
+  /**
+   * Move a waiting job up to a higher priority (e.g. a prefetch the user moved on to)
+   */
+  prioritize(jobId, priority) {
+    const entry = this.waiting.find(e => e.jobId === jobId);
+    if (!entry || !(priority in PRIORITIES)) {
+      return;
+    }
+
+    entry.priority = Math.min(entry.priority, PRIORITIES[priority]);
+    this.sort();
+    this.drain();
+  }
+
+  sort() {
+    this.waiting.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+  }
+
+  countRunning(userId) {
+    let count = 0;
+    for (const runningUserId of this.running.values()) {
+      if (runningUserId === userId) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Start waiting jobs while there are free slots
+   *
+   * A job whose user is at the per-user limit is passed over, so it doesn't
+   * hold up other users' downloads.
+   */
+  drain() {
+    for (const entry of [...this.waiting]) {
+      if (this.running.size >= MAX_CONCURRENT) {
+        break;
+      }
+
+      if (this.countRunning(entry.userId) < MAX_CONCURRENT_PER_USER) {
+        this.start(entry);
+      }
+    }
+
+    this.updatePositions();
+  }
+
+  start(entry) {
+    this.waiting.splice(this.waiting.indexOf(entry), 1);
+    this.running.set(entry.jobId, entry.userId);
+
+    Promise.resolve()
+      .then(entry.run)
+      .catch(err => logger.error(`Queued download ${entry.jobId} failed:`, err.message))
+      .finally(() => {
+        this.running.delete(entry.jobId);
+        this.drain();
+      });
+  }
+
+  updatePositions() {
+    this.waiting.forEach((entry, index) => {
+      const message = index === 0 ? 'Queued, next up' : `Queued, ${index} ahead`;
+
+      if (downloadJobManager.getJob(entry.jobId)?.message !== message) {
+        downloadJobManager.updateJob(entry.jobId, { status: 'searching', progress: 0, message });
+      }
+    });
+  }
+}
+
+module.exports = new DownloadQueue();
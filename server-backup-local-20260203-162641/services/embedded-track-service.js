@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { db } = require('../db/init');
+const logger = require('../utils/logger');
+const { eventsToVtt } = require('../utils/subtitle-format');
+const { readMatroskaInfo, readTrackBlocks } = require('./matroska-reader');
+
+const CACHE_DIR = path.join(
+  process.env.SUBTITLE_CACHE_DIR || path.join(__dirname, '../cache/subtitles'),
+  'embedded'
+);
+
+// Subtitle codecs we can turn into WebVTT (image formats like PGS/VobSub can't be)
+const TEXT_SUBTITLE_CODECS = ['S_TEXT/UTF8', 'S_TEXT/ASCII', 'S_TEXT/ASS', 'S_TEXT/SSA', 'S_TEXT/WEBVTT'];
+
+const CHANNEL_LAYOUTS = { 1: 'mono', 2: 'stereo', 6: '5.1', 8: '7.1' };
+
+const FILE_KEY_PATTERN = /^[a-f0-9]{16}$/;
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+/**
+ * ISO 639-1 code and English name for a Matroska language (ISO 639-2 or BCP 47)
+ */
+function toLanguage(code) {
+  try {
+    const languageCode = new Intl.Locale(code).language;
+    if (languageCode && languageCode !== 'und') {
+      return { languageCode, language: languageNames.of(languageCode) || code };
+    }
+  } catch (error) {
+    // Not a valid language tag
+  }
+
+  return { languageCode: null, language: 'Unknown' };
+}
+
+/**
+ * Audio and subtitle tracks embedded in MKV files on the Zurg mount
+ *
+ * Track lists are cached in embedded_tracks (per file path and size); text
+ * subtitle tracks are extracted to WebVTT on first request and kept on disk.
+ */
+class EmbeddedTrackService {
+  constructor() {
+    // filePath -> Promise, so concurrent requests read once
+    this.pending = new Map();
+    // "<fileKey>/<index>" -> { extraction, controller, waiters } of a subtitle being extracted
+    this.extractions = new Map();
+  }
+
+  getFileKey(filePath) {
+    return crypto.createHash('sha1').update(filePath).digest('hex').substring(0, 16);
+  }
+
+  /**
+   * Tracks of a file on the Zurg mount
+   *
+   * @param {string} filePath
+   * @returns {Promise<{fileKey: string, tracks: Object[]}|null>} null for non-MKV or unreadable files
+   */
+  async getTracks(filePath) {
+    if (!filePath || path.extname(filePath).toLowerCase() !== '.mkv') {
+      return null;
+    }
+
+    if (!this.pending.has(filePath)) {
+      this.pending.set(filePath, this.loadTracks(filePath).finally(() => this.pending.delete(filePath)));
+    }
+
+    return this.pending.get(filePath);
+  }
+
+  async loadTracks(filePath) {
+    const fileKey = this.getFileKey(filePath);
+
+    try {
+      const { size } = await fs.promises.stat(filePath);
+
+      const cached = db.prepare('SELECT file_size, tracks FROM embedded_tracks WHERE file_key = ?').get(fileKey);
+      if (cached && cached.file_size === size) {
+        return { fileKey, tracks: JSON.parse(cached.tracks) };
+      }
+
+      const { tracks } = await readMatroskaInfo(filePath);
+
+      db.prepare(`
+        INSERT INTO embedded_tracks (file_key, file_path, file_size, tracks, created_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(file_key) DO UPDATE SET
+          file_path = excluded.file_path, file_size = excluded.file_size,
+          tracks = excluded.tracks, created_at = excluded.created_at
+      `).run(fileKey, filePath, size, JSON.stringify(tracks), Date.now());
+
+      logger.info(`[Embedded Tracks] ${path.basename(filePath)}: ${tracks.length} tracks`);
+      return { fileKey, tracks };
+    } catch (error) {
+      logger.warn(`[Embedded Tracks] Could not read tracks of ${filePath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Audio/subtitle track list for API responses
+   */
+  describeTracks(tracks) {
+    return tracks
+      .filter(track => track.type === 'audio' || track.type === 'subtitle')
+      .map(track => ({
+        streamIndex: track.index,
+        type: track.type,
+        codec: track.codecId,
+        ...toLanguage(track.language),
+        name: track.name,
+        isDefault: track.isDefault,
+        isForced: track.isForced,
+        ...(track.type === 'audio' && {
+          channels: track.channels,
+          channelLayout: CHANNEL_LAYOUTS[track.channels] || (track.channels ? `${track.channels}ch` : null)
+        }),
+        ...(track.type === 'subtitle' && { isText: TEXT_SUBTITLE_CODECS.includes(track.codecId) })
+      }));
+  }
+
+  /**
+   * Subtitle tracks as subtitle entries ({ fileKey } + track info; extractable = text track)
+   */
+  getSubtitleEntries(fileKey, tracks) {
+    return this.describeTracks(tracks)
+      .filter(track => track.type === 'subtitle')
+      .map(track => {
+        const flags = [track.isForced && 'Forced', track.isDefault && 'Default'].filter(Boolean);
+        const name = track.name || track.language;
+
+        return {
+          ...track,
+          fileKey,
+          label: flags.length > 0 ? `${name} (${flags.join(', ')})` : name
+        };
+      });
+  }
+
+  /**
+   * Path of a subtitle track extracted to WebVTT (extracted on first request)
+   *
+   * Requests for a track being extracted share the extraction, which is
+   * aborted once every one of them has been aborted.
+   *
+   * @param {string} fileKey
+   * @param {number} streamIndex - Track index within the file
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - e.g. aborted when the client disconnects
+   * @returns {Promise<string|null>} null for unknown files/tracks or image-based subtitles
+   * @throws {Error} code 'NO_CUES' (track can't be extracted) or 'ABORTED'
+   */
+  async getSubtitleFile(fileKey, streamIndex, { signal } = {}) {
+    if (!FILE_KEY_PATTERN.test(fileKey) || !Number.isInteger(streamIndex)) {
+      return null;
+    }
+
+    const vttPath = path.join(CACHE_DIR, fileKey, `${streamIndex}.vtt`);
+    if (fs.existsSync(vttPath)) {
+      return vttPath;
+    }
+
+    const extractionKey = `${fileKey}/${streamIndex}`;
+    if (!this.extractions.has(extractionKey)) {
+      const controller = new AbortController();
+      const extraction = this.extractSubtitle(fileKey, streamIndex, vttPath, controller.signal)
+        .finally(() => this.extractions.delete(extractionKey));
+      this.extractions.set(extractionKey, { extraction, controller, waiters: 0 });
+    }
+
+    const pending = this.extractions.get(extractionKey);
+    pending.waiters++;
+    signal?.addEventListener('abort', () => {
+      if (--pending.waiters === 0) {
+        pending.controller.abort();
+      }
+    }, { once: true });
+
+    return pending.extraction;
+  }
+
+  async extractSubtitle(fileKey, streamIndex, vttPath, signal) {
+    const row = db.prepare('SELECT file_path, tracks FROM embedded_tracks WHERE file_key = ?').get(fileKey);
+    const track = row && JSON.parse(row.tracks).find(t => t.index === streamIndex);
+
+    if (!track || track.type !== 'subtitle' || !TEXT_SUBTITLE_CODECS.includes(track.codecId)) {
+      return null;
+    }
+
+    try {
+      const startedAt = Date.now();
+      const events = await readTrackBlocks(row.file_path, track.number, { signal });
+
+      fs.mkdirSync(path.dirname(vttPath), { recursive: true });
+      fs.writeFileSync(vttPath, eventsToVtt(events, track.codecId));
+
+      logger.info(`[Embedded Tracks] Extracted subtitle track ${streamIndex} of ${path.basename(row.file_path)} (${events.length} cues, ${Date.now() - startedAt}ms)`);
+      return vttPath;
+    } catch (error) {
+      logger.warn(`[Embedded Tracks] Could not extract track ${streamIndex} of ${row.file_path}: ${error.message}`);
+      if (error.code === 'NO_CUES' || error.code === 'ABORTED') {
+        throw error;
+      }
+      return null;
+    }
+  }
+}
+
+module.exports = new EmbeddedTrackService();
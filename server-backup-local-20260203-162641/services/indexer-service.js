@@ -0,0 +1,152 @@
+const logger = require('../utils/logger');
+const { withTimeout } = require('../utils/with-timeout');
+const { createProwlarrIndexer } = require('./indexers/prowlarr');
+const { createTorznabIndexer } = require('./indexers/torznab');
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.INDEXER_TIMEOUT_MS, 10) || 30000;
+
+/**
+ * A torrent indexer (see indexers/)
+ *
+ * @typedef {Object} Indexer
+ * @property {string} name
+ * @property {number} timeoutMs - A search taking longer is given up on
+ * @property {function(Object): Promise<Array<{title: string, size: number|null, seeders: number,
+ *   leechers: number, magnetUrl: string|null, infoHash: string|null, indexer: string,
+ *   publishDate: string|null, categories: number[]}>>} search
+ *   Called with { query, type } (type 'movie', 'tv' or null); infoHash is lowercase
+ */
+
+/**
+ * Torznab endpoints from TORZNAB_INDEXERS
+ *
+ * Comma-separated name=url entries; "|ms" after the URL sets that
+ * indexer's timeout, e.g. "jackett=http://jackett:9117/...?apikey=KEY|15000".
+ */
+function parseTorznabConfig(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .flatMap(entry => {
+      const separator = entry.indexOf('=');
+      const [url, timeout] = entry.slice(separator + 1).split('|');
+
+      if (separator < 1 || !/^https?:\/\//.test(url)) {
+        logger.warn(`[Indexers] Ignoring TORZNAB_INDEXERS entry "${entry}" (expected name=url)`);
+        return [];
+      }
+
+      return [{
+        name: entry.slice(0, separator).trim(),
+        url: url.trim(),
+        timeoutMs: parseInt(timeout, 10) || DEFAULT_TIMEOUT_MS
+      }];
+    });
+}
+
+/** @type {Indexer[]} */
+const INDEXERS = [
+  ...(process.env.PROWLARR_API_KEY
+    ? [createProwlarrIndexer({
+      baseUrl: process.env.PROWLARR_BASE_URL || 'http://localhost:9696',
+      apiKey: process.env.PROWLARR_API_KEY,
+      timeoutMs: parseInt(process.env.PROWLARR_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS
+    })]
+    : []),
+  ...parseTorznabConfig(process.env.TORZNAB_INDEXERS).map(createTorznabIndexer)
+];
+
+/**
+ * Merge result lists, keeping one result per infohash
+ *
+ * The copy with the most seeders is kept (filling in a magnet link from
+ * another copy if it has none). Results without an infohash can't be
+ * matched up and are all kept.
+ *
+ * @param {Object[][]} lists
+ * @returns {Object[]}
+ */
+function mergeResults(lists) {
+  const byHash = new Map();
+  const merged = [];
+
+  for (const result of lists.flat()) {
+    if (!result.infoHash) {
+      merged.push(result);
+      continue;
+    }
+
+    const existing = byHash.get(result.infoHash);
+    if (!existing) {
+      const copy = { ...result };
+      byHash.set(result.infoHash, copy);
+      merged.push(copy);
+      continue;
+    }
+
+    const [best, other] = result.seeders > existing.seeders ? [result, existing] : [existing, result];
+    Object.assign(existing, best, {
+      magnetUrl: [best.magnetUrl, other.magnetUrl].find(url => url?.startsWith('magnet:')) || best.magnetUrl || other.magnetUrl
+    });
+  }
+
+  return merged;
+}
+
+/**
+ * Whether any indexer is configured
+ */
+function hasIndexers() {
+  return INDEXERS.length > 0;
+}
+
+/**
+ * Search every configured indexer in parallel
+ *
+ * Each indexer has its own timeout; one that fails or times out is logged
+ * and left out, so a slow tracker doesn't hold up the others. Results are
+ * merged and deduped by infohash.
+ *
+ * @param {Object} params
+ * @param {string} params.query
+ * @param {string} [params.type] - 'movie' or 'tv' (searches every category when omitted)
+ * @returns {Promise<Object[]>} See Indexer
+ * @throws {Error} When no indexer is configured, or all of them failed (the first error)
+ */
+async function searchIndexers({ query, type = null }) {
+  if (!hasIndexers()) {
+    throw new Error('No indexers configured (PROWLARR_API_KEY or TORZNAB_INDEXERS)');
+  }
+
+  const outcomes = await Promise.all(INDEXERS.map(async (indexer) => {
+    const startedAt = Date.now();
+    try {
+      const results = await withTimeout(indexer.search({ query, type }), indexer.timeoutMs);
+      if (results === null) {
+        const error = new Error(`${indexer.name} timed out after ${indexer.timeoutMs}ms`);
+        error.code = 'ETIMEDOUT';
+        throw error;
+      }
+
+      logger.info(`[Indexers] ${indexer.name}: ${results.length} results in ${Date.now() - startedAt}ms`);
+      return { results };
+    } catch (error) {
+      logger.warn(`[Indexers] ${indexer.name} failed: ${error.message}`);
+      return { error };
+    }
+  }));
+
+  const succeeded = outcomes.filter(outcome => outcome.results);
+  if (succeeded.length === 0) {
+    throw outcomes[0].error;
+  }
+
+  return mergeResults(succeeded.map(outcome => outcome.results));
+}
+
+module.exports = {
+  searchIndexers,
+  hasIndexers,
+  mergeResults
+};
@@ -0,0 +1,49 @@
+const axios = require('axios');
+
+// Prowlarr's own search types; without a type it searches every category
+const SEARCH_TYPES = { movie: 'movie', tv: 'tvsearch' };
+
+/**
+ * Prowlarr indexer (JSON API, searches every indexer set up in Prowlarr)
+ *
+ * @param {Object} config
+ * @param {string} config.baseUrl - e.g. http://localhost:9696
+ * @param {string} config.apiKey
+ * @param {number} config.timeoutMs
+ * @returns {Object} Indexer (see indexer-service)
+ */
+function createProwlarrIndexer({ baseUrl, apiKey, timeoutMs }) {
+  return {
+    name: 'prowlarr',
+    timeoutMs,
+
+    async search({ query, type }) {
+      const response = await axios.get(`${baseUrl}/api/v1/search`, {
+        params: {
+          query,
+          type: SEARCH_TYPES[type] || 'search'
+        },
+        headers: {
+          'X-Api-Key': apiKey
+        },
+        timeout: timeoutMs
+      });
+
+      return (response.data || []).map(r => ({
+        title: r.title,
+        size: r.size || null,
+        seeders: r.seeders || 0,
+        leechers: r.leechers || 0,
+        magnetUrl: r.magnetUrl || r.downloadUrl || null,
+        infoHash: r.infoHash ? r.infoHash.toLowerCase() : null,
+        indexer: r.indexer,
+        publishDate: r.publishDate || null,
+        categories: (r.categories || []).map(c => c.id)
+      }));
+    }
+  };
+}
+
+module.exports = {
+  createProwlarrIndexer
+};
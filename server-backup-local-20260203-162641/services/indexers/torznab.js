@@ -0,0 +1,135 @@
+const axios = require('axios');
+const { XMLParser } = require('fast-xml-parser');
+
+// Torznab standard categories
+const CATEGORIES = { movie: '2000', tv: '5000' };
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  // Titles like "1917" must stay strings
+  parseTagValue: false,
+  parseAttributeValue: false,
+  isArray: (name) => ['item', 'torznab:attr', 'category'].includes(name)
+});
+
+function toNumber(value) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Infohash from a magnet link's xt=urn:btih: parameter
+ */
+function hashFromMagnet(magnetUrl) {
+  return magnetUrl?.match(/xt=urn:btih:([a-z0-9]+)/i)?.[1].toLowerCase() || null;
+}
+
+/**
+ * One <item> of a Torznab feed as a search result
+ *
+ * Seeders, peers, infohash and magnet come from <torznab:attr> elements.
+ * Results with an infohash but no magnet link get one built from the hash,
+ * since RD can't add the indexer's .torrent download links.
+ */
+function parseItem(item, indexerName) {
+  const attrs = {};
+  const categories = new Set((item.category || []).map(toNumber));
+
+  for (const attr of item['torznab:attr'] || []) {
+    const name = attr['@_name']?.toLowerCase();
+    if (name === 'category') {
+      categories.add(toNumber(attr['@_value']));
+    } else if (name) {
+      attrs[name] = attr['@_value'];
+    }
+  }
+
+  const title = String(item.title ?? '');
+  const link = typeof item.link === 'string' ? item.link : null;
+  const enclosureUrl = item.enclosure?.['@_url'] || null;
+
+  let magnetUrl = attrs.magneturl || [link, enclosureUrl].find(url => url?.startsWith('magnet:')) || null;
+  const infoHash = attrs.infohash?.toLowerCase() || hashFromMagnet(magnetUrl);
+  if (!magnetUrl && infoHash) {
+    magnetUrl = `magnet:?xt=urn:btih:${infoHash}&dn=${encodeURIComponent(title)}`;
+  }
+
+  const seeders = toNumber(attrs.seeders) || 0;
+  const peers = toNumber(attrs.peers);
+  const publishDate = item.pubDate ? new Date(item.pubDate) : null;
+
+  return {
+    title,
+    size: toNumber(item.size) || toNumber(attrs.size) || toNumber(item.enclosure?.['@_length']),
+    seeders,
+    leechers: toNumber(attrs.leechers) ?? (peers !== null ? Math.max(0, peers - seeders) : 0),
+    magnetUrl: magnetUrl || link || enclosureUrl,
+    infoHash,
+    indexer: (typeof item.jackettindexer === 'string' ? item.jackettindexer : item.jackettindexer?.['#text']) || indexerName,
+    publishDate: publishDate && !Number.isNaN(publishDate.getTime()) ? publishDate.toISOString() : null,
+    categories: [...categories].filter(id => id !== null)
+  };
+}
+
+/**
+ * Parse a Torznab search response
+ *
+ * @param {string} xml
+ * @param {string} indexerName - Used when items don't name their indexer
+ * @returns {Object[]} Results (see indexer-service)
+ * @throws {Error} When the response is a Torznab <error> (e.g. a bad API key)
+ */
+function parseTorznabResponse(xml, indexerName) {
+  const parsed = parser.parse(xml);
+
+  if (parsed.error) {
+    throw new Error(`Torznab error ${parsed.error['@_code']}: ${parsed.error['@_description']}`);
+  }
+  if (!parsed.rss?.channel) {
+    throw new Error('Not a Torznab response');
+  }
+
+  return (parsed.rss.channel.item || []).map(item => parseItem(item, indexerName));
+}
+
+/**
+ * Torznab indexer (Jackett, NZBHydra, trackers with a Torznab API)
+ *
+ * The API key goes in the URL, e.g.
+ * http://localhost:9117/api/v2.0/indexers/all/results/torznab/api?apikey=KEY
+ *
+ * @param {Object} config
+ * @param {string} config.name
+ * @param {string} config.url - Torznab API endpoint
+ * @param {number} config.timeoutMs
+ * @returns {Object} Indexer (see indexer-service)
+ */
+function createTorznabIndexer({ name, url, timeoutMs }) {
+  return {
+    name,
+    timeoutMs,
+
+    async search({ query, type }) {
+      // A plain search with a category works on every Torznab indexer;
+      // movie/tvsearch need capabilities not all of them have
+      const response = await axios.get(url, {
+        params: {
+          t: 'search',
+          q: query,
+          cat: CATEGORIES[type],
+          extended: 1
+        },
+        responseType: 'text',
+        timeout: timeoutMs
+      });
+
+      return parseTorznabResponse(response.data, name);
+    }
+  };
+}
+
+module.exports = {
+  createTorznabIndexer,
+  parseTorznabResponse
+};
@@ -0,0 +1,628 @@
+const fs = require('fs');
+
+/**
+ * Minimal Matroska (MKV) reader
+ *
+ * Reads the segment-level metadata (Info, Chapters, Tracks, Cues) - it walks
+ * the elements before the first Cluster and follows the SeekHead for anything
+ * stored after the media data, so only a few small reads hit the (FUSE) mount.
+ * Subtitle blocks are located through the Cues where possible.
+ */
+
+const IDS = {
+  EBML: 0x1A45DFA3,
+  SEGMENT: 0x18538067,
+  SEEK_HEAD: 0x114D9B74,
+  SEEK: 0x4DBB,
+  SEEK_ID: 0x53AB,
+  SEEK_POSITION: 0x53AC,
+  INFO: 0x1549A966,
+  TIMESTAMP_SCALE: 0x2AD7B1,
+  DURATION: 0x4489,
+  CHAPTERS: 0x1043A770,
+  EDITION_ENTRY: 0x45B9,
+  EDITION_FLAG_DEFAULT: 0x45DB,
+  CHAPTER_ATOM: 0xB6,
+  CHAPTER_TIME_START: 0x91,
+  CHAPTER_TIME_END: 0x92,
+  CHAPTER_FLAG_HIDDEN: 0x98,
+  CHAPTER_FLAG_ENABLED: 0x4598,
+  CHAPTER_DISPLAY: 0x80,
+  CHAP_STRING: 0x85,
+  TRACKS: 0x1654AE6B,
+  TRACK_ENTRY: 0xAE,
+  TRACK_NUMBER: 0xD7,
+  TRACK_TYPE: 0x83,
+  FLAG_DEFAULT: 0x88,
+  FLAG_FORCED: 0x55AA,
+  LANGUAGE: 0x22B59C,
+  LANGUAGE_BCP47: 0x22B59D,
+  NAME: 0x536E,
+  CODEC_ID: 0x86,
+  CODEC_PRIVATE: 0x63A2,
+  AUDIO: 0xE1,
+  CHANNELS: 0x9F,
+  CUES: 0x1C53BB6B,
+  CUE_POINT: 0xBB,
+  CUE_TRACK_POSITIONS: 0xB7,
+  CUE_TRACK: 0xF7,
+  CUE_CLUSTER_POSITION: 0xF1,
+  CUE_RELATIVE_POSITION: 0xF0,
+  CLUSTER: 0x1F43B675,
+  CLUSTER_TIMESTAMP: 0xE7,
+  SIMPLE_BLOCK: 0xA3,
+  BLOCK_GROUP: 0xA0,
+  BLOCK: 0xA1,
+  BLOCK_DURATION: 0x9B
+};
+
+const TRACK_TYPES = { 1: 'video', 2: 'audio', 17: 'subtitle' };
+
+// Largest top-level element we'll read into memory (metadata is small, Cues
+// of a long file can run to a few MB)
+const MAX_ELEMENT_SIZE = 16 * 1024 * 1024;
+
+// Largest Cluster read when scanning a file without usable Cues
+const MAX_CLUSTER_SIZE = 64 * 1024 * 1024;
+
+// Most of a file read when scanning it for a track without Cues - on the Zurg
+// mount every byte is downloaded from RD, so a remux can't be read whole
+const MAX_SCAN_BYTES = 256 * 1024 * 1024;
+
+// Subtitle blocks without a duration stay on screen this long (or until the next one)
+const DEFAULT_SUBTITLE_DURATION = 5;
+
+// Give up scanning top-level elements after this many (files with a huge Void/Tags section)
+const MAX_TOP_LEVEL_ELEMENTS = 64;
+
+/**
+ * Read an EBML variable-length integer
+ *
+ * @param {boolean} keepMarker - true for element IDs (the length marker is part of the ID)
+ * @returns {{value: number, length: number, unknown: boolean}|null}
+ */
+function readVint(buf, offset, keepMarker = false) {
+  const first = buf[offset];
+  if (first === undefined || first === 0) {
+    return null;
+  }
+
+  let length = 1;
+  let mask = 0x80;
+  while (!(first & mask)) {
+    mask >>= 1;
+    length++;
+  }
+
+  if (offset + length > buf.length) {
+    return null;
+  }
+
+  let value = keepMarker ? first : first & (mask - 1);
+  let allOnes = (first & (mask - 1)) === mask - 1;
+
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buf[offset + i];
+    allOnes = allOnes && buf[offset + i] === 0xFF;
+  }
+
+  return { value, length, unknown: !keepMarker && allOnes };
+}
+
+/**
+ * Parse an element header at offset within buf
+ *
+ * @returns {{id: number, dataStart: number, size: number|null, end: number|null}|null}
+ *   positions relative to buf; size/end are null for unknown-size elements
+ */
+function readElementHeader(buf, offset) {
+  const id = readVint(buf, offset, true);
+  if (!id) {
+    return null;
+  }
+
+  const size = readVint(buf, offset + id.length);
+  if (!size) {
+    return null;
+  }
+
+  const dataStart = offset + id.length + size.length;
+  return {
+    id: id.value,
+    dataStart,
+    size: size.unknown ? null : size.value,
+    end: size.unknown ? null : dataStart + size.value
+  };
+}
+
+/**
+ * Child elements of a (fully buffered) master element
+ */
+function children(buf, start = 0, end = buf.length) {
+  const result = [];
+  let offset = start;
+
+  while (offset < end) {
+    const header = readElementHeader(buf, offset);
+    if (!header || header.end === null || header.end > end) {
+      break;
+    }
+    result.push(header);
+    offset = header.end;
+  }
+
+  return result;
+}
+
+function child(buf, element, id) {
+  return children(buf, element.dataStart, element.end).find(c => c.id === id);
+}
+
+function readUint(buf, element) {
+  let value = 0;
+  for (let i = element.dataStart; i < element.end; i++) {
+    value = value * 256 + buf[i];
+  }
+  return value;
+}
+
+function readFloat(buf, element) {
+  if (element.size === 4) return buf.readFloatBE(element.dataStart);
+  if (element.size === 8) return buf.readDoubleBE(element.dataStart);
+  return 0;
+}
+
+function readString(buf, element) {
+  return buf.toString('utf8', element.dataStart, element.end).replace(/\0+$/, '');
+}
+
+/**
+ * Read `length` bytes at `position` (fewer at end of file)
+ */
+async function readAt(handle, position, length) {
+  const buf = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buf, 0, length, position);
+  return buf.subarray(0, bytesRead);
+}
+
+/**
+ * Read a whole top-level element at a file position
+ *
+ * @returns {Promise<{id: number, buf: Buffer, element: Object}|null>} element
+ *   positions are relative to buf
+ */
+async function readTopLevelElement(handle, position, maxSize = MAX_ELEMENT_SIZE) {
+  const head = await readAt(handle, position, 12);
+  const header = readElementHeader(head, 0);
+
+  if (!header || header.size === null || header.size > maxSize) {
+    return null;
+  }
+
+  const buf = await readAt(handle, position, header.end);
+  return { id: header.id, buf, element: header };
+}
+
+function parseSeekHead(buf, element) {
+  const positions = {};
+
+  for (const seek of children(buf, element.dataStart, element.end)) {
+    if (seek.id !== IDS.SEEK) continue;
+
+    const idElement = child(buf, seek, IDS.SEEK_ID);
+    const positionElement = child(buf, seek, IDS.SEEK_POSITION);
+    if (idElement && positionElement) {
+      positions[readUint(buf, idElement)] = readUint(buf, positionElement);
+    }
+  }
+
+  return positions;
+}
+
+/**
+ * @returns {{duration: number|null, timestampScale: number}} duration in seconds,
+ *   timestampScale in nanoseconds per tick
+ */
+function parseInfo(buf, element) {
+  const scaleElement = child(buf, element, IDS.TIMESTAMP_SCALE);
+  const durationElement = child(buf, element, IDS.DURATION);
+  const timestampScale = scaleElement ? readUint(buf, scaleElement) : 1000000;
+
+  return {
+    duration: durationElement ? readFloat(buf, durationElement) * timestampScale / 1e9 : null,
+    timestampScale
+  };
+}
+
+/**
+ * Track headers, in file order (index = position among all tracks)
+ */
+function parseTracks(buf, element) {
+  return children(buf, element.dataStart, element.end)
+    .filter(c => c.id === IDS.TRACK_ENTRY)
+    .map((entry, index) => {
+      const get = (id) => child(buf, entry, id);
+      const uintOf = (id, fallback) => (get(id) ? readUint(buf, get(id)) : fallback);
+      const stringOf = (id) => (get(id) ? readString(buf, get(id)) : null);
+
+      const type = TRACK_TYPES[uintOf(IDS.TRACK_TYPE)] || 'other';
+      const audio = get(IDS.AUDIO);
+      const channels = audio && child(buf, audio, IDS.CHANNELS);
+      const codecPrivate = get(IDS.CODEC_PRIVATE);
+
+      return {
+        index,
+        number: uintOf(IDS.TRACK_NUMBER),
+        type,
+        codecId: stringOf(IDS.CODEC_ID),
+        // Matroska's default language is English
+        language: stringOf(IDS.LANGUAGE_BCP47) || stringOf(IDS.LANGUAGE) || 'eng',
+        name: stringOf(IDS.NAME),
+        isDefault: uintOf(IDS.FLAG_DEFAULT, 1) === 1,
+        isForced: uintOf(IDS.FLAG_FORCED, 0) === 1,
+        channels: channels ? readUint(buf, channels) : null,
+        // Text subtitle header (e.g. the ASS [Script Info]/[V4+ Styles] section)
+        codecPrivate: type === 'subtitle' && codecPrivate ? readString(buf, codecPrivate) : null
+      };
+    });
+}
+
+/**
+ * Cue positions of one track
+ *
+ * @returns {Array<{clusterPosition: number, relativePosition: number|null}>}
+ *   clusterPosition relative to the segment data, relativePosition to the cluster data
+ */
+function parseCues(buf, element, trackNumber) {
+  const positions = [];
+
+  for (const point of children(buf, element.dataStart, element.end)) {
+    if (point.id !== IDS.CUE_POINT) continue;
+
+    for (const trackPosition of children(buf, point.dataStart, point.end)) {
+      if (trackPosition.id !== IDS.CUE_TRACK_POSITIONS) continue;
+
+      const track = child(buf, trackPosition, IDS.CUE_TRACK);
+      const cluster = child(buf, trackPosition, IDS.CUE_CLUSTER_POSITION);
+      const relative = child(buf, trackPosition, IDS.CUE_RELATIVE_POSITION);
+
+      if (track && cluster && readUint(buf, track) === trackNumber) {
+        positions.push({
+          clusterPosition: readUint(buf, cluster),
+          relativePosition: relative ? readUint(buf, relative) : null
+        });
+      }
+    }
+  }
+
+  return positions;
+}
+
+/**
+ * Parse a SimpleBlock or BlockGroup for a track
+ *
+ * @returns {{start: number, duration: number|null, data: Buffer}|null} times in ticks
+ *   (start relative to the cluster), null for other tracks or laced blocks
+ */
+function parseBlock(buf, element, trackNumber) {
+  let block = element;
+  let duration = null;
+
+  if (element.id === IDS.BLOCK_GROUP) {
+    block = child(buf, element, IDS.BLOCK);
+    const durationElement = child(buf, element, IDS.BLOCK_DURATION);
+    duration = durationElement ? readUint(buf, durationElement) : null;
+  } else if (element.id !== IDS.SIMPLE_BLOCK) {
+    return null;
+  }
+
+  const track = block && readVint(buf, block.dataStart);
+  if (!track || track.value !== trackNumber) {
+    return null;
+  }
+
+  const headerEnd = block.dataStart + track.length;
+  const flags = buf[headerEnd + 2];
+
+  // Lacing packs several frames into one block - text subtitles are never laced
+  if ((flags >> 1) & 0x03) {
+    return null;
+  }
+
+  return {
+    start: buf.readInt16BE(headerEnd),
+    duration,
+    data: buf.subarray(headerEnd + 3, block.end)
+  };
+}
+
+/**
+ * Blocks of a track within a fully buffered cluster (times in absolute ticks)
+ */
+function parseClusterBlocks(buf, cluster, trackNumber) {
+  const elements = children(buf, cluster.dataStart, cluster.end);
+  const timestampElement = elements.find(c => c.id === IDS.CLUSTER_TIMESTAMP);
+  const clusterTimestamp = timestampElement ? readUint(buf, timestampElement) : 0;
+
+  return elements
+    .map(element => parseBlock(buf, element, trackNumber))
+    .filter(Boolean)
+    .map(block => ({ ...block, start: clusterTimestamp + block.start }));
+}
+
+/**
+ * Chapters of the default edition (hidden/disabled chapters left out)
+ *
+ * @returns {Array<{title: string|null, start: number, end: number|null}>} times in seconds
+ */
+function parseChapters(buf, element) {
+  const editions = children(buf, element.dataStart, element.end)
+    .filter(c => c.id === IDS.EDITION_ENTRY);
+
+  const edition = editions.find(e => {
+    const flag = child(buf, e, IDS.EDITION_FLAG_DEFAULT);
+    return flag && readUint(buf, flag) === 1;
+  }) || editions[0];
+
+  if (!edition) {
+    return [];
+  }
+
+  return children(buf, edition.dataStart, edition.end)
+    .filter(c => c.id === IDS.CHAPTER_ATOM)
+    .filter(atom => {
+      const hidden = child(buf, atom, IDS.CHAPTER_FLAG_HIDDEN);
+      const enabled = child(buf, atom, IDS.CHAPTER_FLAG_ENABLED);
+      return !(hidden && readUint(buf, hidden) === 1) && !(enabled && readUint(buf, enabled) === 0);
+    })
+    .map(atom => {
+      const start = child(buf, atom, IDS.CHAPTER_TIME_START);
+      const end = child(buf, atom, IDS.CHAPTER_TIME_END);
+      const display = child(buf, atom, IDS.CHAPTER_DISPLAY);
+      const title = display && child(buf, display, IDS.CHAP_STRING);
+
+      return {
+        title: title ? readString(buf, title) : null,
+        start: start ? readUint(buf, start) / 1e9 : 0,
+        end: end ? readUint(buf, end) / 1e9 : null
+      };
+    })
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Open a Matroska file and locate its top-level metadata elements
+ *
+ * @param {FileHandle} handle
+ * @param {number[]} ids - Top-level element IDs to read
+ * @returns {Promise<{segmentStart: number, found: Object<number, {buf: Buffer, element: Object}>}>}
+ * @throws {Error} If the file is not Matroska
+ */
+async function readSegmentElements(handle, ids) {
+  const head = await readAt(handle, 0, 64);
+  const ebml = readElementHeader(head, 0);
+
+  if (!ebml || ebml.id !== IDS.EBML || ebml.end === null) {
+    throw new Error('Not a Matroska file');
+  }
+
+  const segmentHead = await readAt(handle, ebml.end, 12);
+  const segment = readElementHeader(segmentHead, 0);
+
+  if (!segment || segment.id !== IDS.SEGMENT) {
+    throw new Error('Matroska segment not found');
+  }
+
+  const segmentStart = ebml.end + segment.dataStart;
+  const found = {};
+  let seekPositions = {};
+
+  // Walk the top-level elements up to the first Cluster
+  let position = segmentStart;
+  for (let i = 0; i < MAX_TOP_LEVEL_ELEMENTS; i++) {
+    const header = readElementHeader(await readAt(handle, position, 12), 0);
+    if (!header || header.id === IDS.CLUSTER || header.size === null) {
+      break;
+    }
+
+    if ((header.id === IDS.SEEK_HEAD || ids.includes(header.id)) && !found[header.id]) {
+      const result = await readTopLevelElement(handle, position);
+      if (result) {
+        found[header.id] = result;
+        if (header.id === IDS.SEEK_HEAD) {
+          seekPositions = parseSeekHead(result.buf, result.element);
+        }
+      }
+    }
+
+    position += header.end;
+  }
+
+  // Anything stored after the media data is found through the SeekHead
+  for (const id of ids) {
+    if (!found[id] && seekPositions[id] !== undefined) {
+      const result = await readTopLevelElement(handle, segmentStart + seekPositions[id]);
+      if (result?.id === id) {
+        found[id] = result;
+      }
+    }
+  }
+
+  return { segmentStart, found };
+}
+
+/**
+ * Read duration, chapters and track headers from a Matroska file
+ *
+ * @param {string} filePath
+ * @returns {Promise<{duration: number|null, chapters: Array<{title: string|null, start: number, end: number|null}>,
+ *   tracks: Object[]}>}
+ * @throws {Error} If the file is not Matroska
+ */
+async function readMatroskaInfo(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+
+  try {
+    const { found } = await readSegmentElements(handle, [IDS.INFO, IDS.CHAPTERS, IDS.TRACKS]);
+    const info = found[IDS.INFO];
+    const chapters = found[IDS.CHAPTERS];
+    const tracks = found[IDS.TRACKS];
+
+    return {
+      duration: info ? parseInfo(info.buf, info.element).duration : null,
+      chapters: chapters ? parseChapters(chapters.buf, chapters.element) : [],
+      tracks: tracks ? parseTracks(tracks.buf, tracks.element) : []
+    };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Error thrown when reading was aborted through the signal
+ */
+function abortedError() {
+  const error = new Error('Aborted');
+  error.code = 'ABORTED';
+  return error;
+}
+
+/**
+ * Read every block of a (subtitle) track
+ *
+ * Blocks are read through the Cues when they index the track (mkvmerge adds
+ * cues for subtitle tracks), otherwise every cluster of the file is read -
+ * up to MAX_SCAN_BYTES.
+ *
+ * @param {string} filePath
+ * @param {number} trackNumber - Matroska track number (not the index)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops reading (error code 'ABORTED')
+ * @returns {Promise<Array<{start: number, end: number, data: Buffer}>>} times in seconds
+ * @throws {Error} code 'NO_CUES' when the track has no Cues and the file is too big to scan
+ */
+async function readTrackBlocks(filePath, trackNumber, { signal } = {}) {
+  const handle = await fs.promises.open(filePath, 'r');
+
+  try {
+    const { segmentStart, found } = await readSegmentElements(handle, [IDS.INFO, IDS.CUES]);
+    const info = found[IDS.INFO];
+    const cues = found[IDS.CUES];
+    const { timestampScale } = info ? parseInfo(info.buf, info.element) : { timestampScale: 1000000 };
+
+    const cuePositions = cues ? parseCues(cues.buf, cues.element, trackNumber) : [];
+    const blocks = cuePositions.length > 0
+      ? await readCuedBlocks(handle, segmentStart, cuePositions, trackNumber, signal)
+      : await scanClusterBlocks(handle, segmentStart, trackNumber, signal);
+
+    // Convert ticks to seconds; blocks without a duration last until the next one
+    const toSeconds = (ticks) => ticks * timestampScale / 1e9;
+    const unique = [...new Map(blocks.map(block => [block.start, block])).values()]
+      .sort((a, b) => a.start - b.start);
+
+    return unique.map((block, i) => {
+      const start = toSeconds(block.start);
+      const next = unique[i + 1] ? toSeconds(unique[i + 1].start) : Infinity;
+
+      return {
+        start,
+        end: block.duration !== null
+          ? start + toSeconds(block.duration)
+          : Math.min(next, start + DEFAULT_SUBTITLE_DURATION),
+        data: block.data
+      };
+    });
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Read the blocks a track's cue points refer to
+ */
+async function readCuedBlocks(handle, segmentStart, cuePositions, trackNumber, signal) {
+  const blocks = [];
+  const clusterTimestamps = new Map();
+
+  for (const { clusterPosition, relativePosition } of cuePositions) {
+    if (signal?.aborted) {
+      throw abortedError();
+    }
+
+    const clusterOffset = segmentStart + clusterPosition;
+
+    if (relativePosition === null) {
+      const cluster = await readTopLevelElement(handle, clusterOffset, MAX_CLUSTER_SIZE);
+      if (cluster?.id === IDS.CLUSTER) {
+        blocks.push(...parseClusterBlocks(cluster.buf, cluster.element, trackNumber));
+      }
+      continue;
+    }
+
+    // Cluster header + Timestamp (always the first child)
+    if (!clusterTimestamps.has(clusterOffset)) {
+      const head = await readAt(handle, clusterOffset, 32);
+      const cluster = readElementHeader(head, 0);
+      const timestamp = cluster && readElementHeader(head, cluster.dataStart);
+
+      clusterTimestamps.set(clusterOffset, {
+        dataStart: cluster ? clusterOffset + cluster.dataStart : null,
+        timestamp: timestamp?.id === IDS.CLUSTER_TIMESTAMP && timestamp.end <= head.length
+          ? readUint(head, timestamp)
+          : 0
+      });
+    }
+
+    const { dataStart, timestamp } = clusterTimestamps.get(clusterOffset);
+    if (dataStart === null) continue;
+
+    const element = await readTopLevelElement(handle, dataStart + relativePosition);
+    const block = element && parseBlock(element.buf, element.element, trackNumber);
+    if (block) {
+      blocks.push({ ...block, start: timestamp + block.start });
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Read every cluster of the segment (slow - the whole file is read)
+ */
+async function scanClusterBlocks(handle, segmentStart, trackNumber, signal) {
+  const { size: fileSize } = await handle.stat();
+  const blocks = [];
+  let position = segmentStart;
+
+  while (position < fileSize) {
+    if (signal?.aborted) {
+      throw abortedError();
+    }
+    if (position - segmentStart > MAX_SCAN_BYTES) {
+      const error = new Error(`Track has no cues and the file is too large to scan (over ${MAX_SCAN_BYTES / 1024 / 1024} MB), can't extract it`);
+      error.code = 'NO_CUES';
+      throw error;
+    }
+
+    const header = readElementHeader(await readAt(handle, position, 12), 0);
+    if (!header || header.size === null) {
+      break;
+    }
+
+    if (header.id === IDS.CLUSTER) {
+      const cluster = await readTopLevelElement(handle, position, MAX_CLUSTER_SIZE);
+      if (cluster) {
+        blocks.push(...parseClusterBlocks(cluster.buf, cluster.element, trackNumber));
+      }
+    }
+
+    position += header.end;
+  }
+
+  return blocks;
+}
+
+module.exports = {
+  readMatroskaInfo,
+  readTrackBlocks
+};
@@ -0,0 +1,80 @@
+const path = require('path');
+const logger = require('../utils/logger');
+const downloadJobManager = require('./download-job-manager');
+const { searchZurg } = require('./zurg-search');
+const { getNextEpisode, getTitleInfo } = require('./tmdb-service');
+
+/**
+ * Whether the next episode is in the RD torrent the current one came from
+ */
+async function isInCurrentTorrent(current, next, rdApiKey) {
+  const job = downloadJobManager.findCompletedJob(current);
+  if (!job?.rdTorrentId || !rdApiKey) {
+    return false;
+  }
+
+  try {
+    const { getTorrentInfo, findBestVideoFile } = require('@duckflix/rd-client');
+    const info = await getTorrentInfo(job.rdTorrentId, rdApiKey);
+    return !!findBestVideoFile(info.files || [], next.season, next.episode);
+  } catch (error) {
+    logger.warn(`Next episode: could not read RD torrent ${job.rdTorrentId}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Whether the next episode sits in the same Zurg directory (= same torrent) as the current one
+ */
+async function isInCurrentZurgDirectory(title, current, next) {
+  const [currentResult, nextResult] = await Promise.all([
+    searchZurg({ title, type: 'tv', season: current.season, episode: current.episode }),
+    searchZurg({ title, type: 'tv', season: next.season, episode: next.episode })
+  ]);
+
+  const currentFile = currentResult.match || currentResult.fallback;
+  const nextFile = nextResult.match || nextResult.fallback;
+
+  return !!currentFile && !!nextFile &&
+    path.dirname(currentFile.filePath) === path.dirname(nextFile.filePath);
+}
+
+/**
+ * Resolve the episode after season/episode of a show
+ *
+ * @param {Object} params
+ * @param {number} params.tmdbId
+ * @param {number} params.season
+ * @param {number} params.episode
+ * @param {string} [params.title] - Show title (looked up on TMDB if missing)
+ * @param {string} [params.rdApiKey] - Used to inspect the current RD torrent
+ * @returns {Promise<{hasNext: boolean, season: number|null, episode: number|null, title: string|null, inCurrentPack: boolean}>}
+ * @throws {Error} code 'TMDB_UNAVAILABLE' - whether there is a next episode is unknown
+ */
+async function resolveNextEpisode({ tmdbId, season, episode, title, rdApiKey }) {
+  const next = await getNextEpisode(tmdbId, season, episode);
+
+  if (!next) {
+    return { hasNext: false, season: null, episode: null, title: null, inCurrentPack: false };
+  }
+
+  const current = { tmdbId, season, episode };
+  let inCurrentPack = await isInCurrentTorrent(current, next, rdApiKey);
+
+  if (!inCurrentPack) {
+    const showTitle = title || (await getTitleInfo(tmdbId, 'tv'))?.title;
+    inCurrentPack = showTitle ? await isInCurrentZurgDirectory(showTitle, current, next) : false;
+  }
+
+  return {
+    hasNext: true,
+    season: next.season,
+    episode: next.episode,
+    title: next.title,
+    inCurrentPack
+  };
+}
+
+module.exports = {
+  resolveNextEpisode
+};
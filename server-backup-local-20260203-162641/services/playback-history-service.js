@@ -0,0 +1,161 @@
+const { db } = require('../db/init');
+const logger = require('../utils/logger');
+
+const HISTORY_RETENTION = 30 * 24 * 60 * 60 * 1000; // 30 days in ms
+
+/**
+ * Playback history: who is watching what, from where, and for how long
+ */
+class PlaybackHistoryService {
+  /**
+   * Record the start of a playback (closes any previous playback on the same user/IP)
+   *
+   * @param {Object} contentInfo - { tmdbId, title, year, type, season, episode }
+   * @param {Object} userInfo - { userId, username, ip }
+   * @param {string} source - 'zurg' | 'rd-via-zurg' | 'rd-cached' | 'rd-download'
+   * @param {string} streamUrl - Stream URL handed to the client (not stored)
+   * @param {string} [fileName] - Served file name
+   * @returns {number} Playback history row ID
+   */
+  trackPlayback(contentInfo, userInfo, source, streamUrl, fileName) {
+    const now = Date.now();
+    const { tmdbId, title, year, type, season, episode } = contentInfo;
+
+    this.closeActive(userInfo.userId, userInfo.ip, now);
+
+    const result = db.prepare(`
+      INSERT INTO playback_history
+      (user_id, username, ip_address, tmdb_id, title, year, type, season, episode, source, file_name, started_at, ended_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      userInfo.userId ?? null,
+      userInfo.username ?? null,
+      userInfo.ip ?? null,
+      tmdbId ?? null,
+      title ?? null,
+      year ?? null,
+      type ?? null,
+      season ?? null,
+      episode ?? null,
+      source,
+      fileName ?? null,
+      now,
+      now
+    );
+
+    logger.info(`[Playback] ${userInfo.username || userInfo.userId} started ${title}${season ? ` S${season}E${episode}` : ''} via ${source}`);
+
+    return result.lastInsertRowid;
+  }
+
+  /**
+   * Extend the active playback for a user/IP up to now (called on VOD heartbeat)
+   */
+  recordHeartbeat(userId, ip) {
+    const now = Date.now();
+
+    return db.prepare(`
+      UPDATE playback_history
+      SET ended_at = ?, duration_seconds = (? - started_at) / 1000
+      WHERE user_id = ? AND ip_address = ? AND is_active = 1
+    `).run(now, now, userId, ip).changes;
+  }
+
+  /**
+   * Mark the active playback for a user/IP as finished (called on VOD session end)
+   */
+  endPlayback(userId, ip) {
+    return this.closeActive(userId, ip, Date.now());
+  }
+
+  /**
+   * Close any active playback rows for a user/IP
+   */
+  closeActive(userId, ip, now) {
+    return db.prepare(`
+      UPDATE playback_history
+      SET is_active = 0, ended_at = ?, duration_seconds = (? - started_at) / 1000
+      WHERE user_id = ? AND ip_address = ? AND is_active = 1
+    `).run(now, now, userId, ip).changes;
+  }
+
+  /**
+   * Get the active playback for a user/IP, if any
+   */
+  getActive(userId, ip) {
+    const row = db.prepare(`
+      SELECT * FROM playback_history
+      WHERE user_id = ? AND ip_address = ? AND is_active = 1
+      ORDER BY started_at DESC
+      LIMIT 1
+    `).get(userId, ip);
+
+    return row ? this.formatRow(row) : null;
+  }
+
+  /**
+   * Get playbacks that are currently being watched (heartbeat within the VOD session timeout)
+   */
+  getNowPlaying() {
+    const timeoutMs = parseInt(process.env.VOD_SESSION_TIMEOUT_MS || '120000', 10);
+    const cutoff = Date.now() - timeoutMs;
+
+    const rows = db.prepare(`
+      SELECT * FROM playback_history
+      WHERE is_active = 1 AND ended_at > ?
+      ORDER BY started_at DESC
+    `).all(cutoff);
+
+    return rows.map(row => this.formatRow(row));
+  }
+
+  /**
+   * Get most recent playbacks (active or finished)
+   */
+  getRecent(limit = 50) {
+    const rows = db.prepare(`
+      SELECT * FROM playback_history
+      ORDER BY started_at DESC
+      LIMIT ?
+    `).all(limit);
+
+    return rows.map(row => this.formatRow(row));
+  }
+
+  /**
+   * Delete history older than the retention window (run periodically)
+   */
+  cleanupOld() {
+    const cutoff = Date.now() - HISTORY_RETENTION;
+    const result = db.prepare('DELETE FROM playback_history WHERE started_at < ?').run(cutoff);
+
+    if (result.changes > 0) {
+      logger.info(`[Playback] Cleaned up ${result.changes} old history entries`);
+    }
+
+    return result.changes;
+  }
+
+  formatRow(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      username: row.username,
+      ip: row.ip_address,
+      tmdbId: row.tmdb_id,
+      title: row.title,
+      year: row.year,
+      type: row.type,
+      season: row.season,
+      episode: row.episode,
+      source: row.source,
+      fileName: row.file_name,
+      startedAt: new Date(row.started_at).toISOString(),
+      endedAt: row.ended_at ? new Date(row.ended_at).toISOString() : null,
+      durationSeconds: row.duration_seconds || 0,
+      isActive: !!row.is_active
+    };
+  }
+}
+
+module.exports = new PlaybackHistoryService();
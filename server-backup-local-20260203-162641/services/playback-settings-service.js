@@ -0,0 +1,147 @@
+const { db } = require('../db/init');
+const logger = require('../utils/logger');
+
+// user_id used for the global (all users) values
+const GLOBAL_USER_ID = 0;
+
+/**
+ * Known settings with their defaults and allowed ranges
+ * (defaults match the ones built into the Android StutterDetector)
+ */
+const PLAYBACK_SETTINGS = {
+  stutterBufferLowThreshold: { default: 3, min: 1, max: 20 },
+  stutterConsecutiveThreshold: { default: 2, min: 1, max: 20 },
+  stutterTimeWindowMs: { default: 30000, min: 5000, max: 300000 }
+};
+
+/**
+ * Playback settings: built-in defaults < global values < per-user overrides
+ */
+class PlaybackSettingsService {
+  /**
+   * Effective settings for a user (shape of GET /api/settings/playback)
+   */
+  getForUser(userId) {
+    return {
+      ...this.getDefaults(),
+      ...this.getStored(GLOBAL_USER_ID),
+      ...this.getStored(userId)
+    };
+  }
+
+  getDefaults() {
+    return Object.fromEntries(
+      Object.entries(PLAYBACK_SETTINGS).map(([key, def]) => [key, def.default])
+    );
+  }
+
+  /**
+   * Global values (with defaults filled in)
+   */
+  getGlobal() {
+    return { ...this.getDefaults(), ...this.getStored(GLOBAL_USER_ID) };
+  }
+
+  /**
+   * Values stored for a user ID (only keys that were set)
+   */
+  getStored(userId) {
+    const rows = db.prepare('SELECT key, value FROM playback_settings WHERE user_id = ?').all(userId);
+
+    return Object.fromEntries(
+      rows.filter(row => PLAYBACK_SETTINGS[row.key]).map(row => [row.key, row.value])
+    );
+  }
+
+  /**
+   * All per-user overrides, grouped by user
+   */
+  getOverrides() {
+    const rows = db.prepare(`
+      SELECT s.user_id, u.username, s.key, s.value
+      FROM playback_settings s
+      LEFT JOIN users u ON u.id = s.user_id
+      WHERE s.user_id != ?
+      ORDER BY u.username
+    `).all(GLOBAL_USER_ID);
+
+    const byUser = new Map();
+    for (const row of rows) {
+      if (!byUser.has(row.user_id)) {
+        byUser.set(row.user_id, { userId: row.user_id, username: row.username, settings: {} });
+      }
+      byUser.get(row.user_id).settings[row.key] = row.value;
+    }
+
+    return [...byUser.values()];
+  }
+
+  /**
+   * Check a partial settings object
+   *
+   * @param {Object} values - { key: integer | null } (null clears a value)
+   * @returns {string|null} Error message, or null if valid
+   */
+  validate(values) {
+    if (!values || typeof values !== 'object' || Object.keys(values).length === 0) {
+      return 'No settings provided';
+    }
+
+    for (const [key, value] of Object.entries(values)) {
+      const def = PLAYBACK_SETTINGS[key];
+      if (!def) {
+        return `Unknown setting: ${key}`;
+      }
+      if (value === null) {
+        continue;
+      }
+      if (!Number.isInteger(value) || value < def.min || value > def.max) {
+        return `${key} must be an integer between ${def.min} and ${def.max}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Set global values (userId omitted) or a user's overrides; null values are cleared
+   * Call validate() first.
+   */
+  setValues(values, userId = GLOBAL_USER_ID) {
+    const now = Date.now();
+    const upsert = db.prepare(`
+      INSERT INTO playback_settings (user_id, key, value, updated_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(user_id, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+    `);
+    const remove = db.prepare('DELETE FROM playback_settings WHERE user_id = ? AND key = ?');
+
+    db.transaction(() => {
+      for (const [key, value] of Object.entries(values)) {
+        if (value === null) {
+          remove.run(userId, key);
+        } else {
+          upsert.run(userId, key, value, now);
+        }
+      }
+    })();
+
+    logger.info(`[Settings] Playback settings updated for ${userId === GLOBAL_USER_ID ? 'all users' : `user ${userId}`}: ${JSON.stringify(values)}`);
+  }
+
+  /**
+   * Remove every override for a user
+   */
+  clearOverrides(userId) {
+    return db.prepare('DELETE FROM playback_settings WHERE user_id = ?').run(userId).changes;
+  }
+
+  /**
+   * Setting definitions (defaults and ranges) for the admin UI
+   */
+  getDefinitions() {
+    return PLAYBACK_SETTINGS;
+  }
+}
+
+module.exports = new PlaybackSettingsService();
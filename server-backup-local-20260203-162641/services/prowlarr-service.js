@@ -1,11 +1,107 @@
-const axios = require('axios');
 const logger = require('../utils/logger');
+const { QUALITY_THRESHOLDS } = require('@duckflix/zurg-client');
+const { parseRelease, isUnwatchable } = require('@duckflix/release-parser');
+const { checkInstantAvailability } = require('@duckflix/rd-client');
+const bandwidthService = require('./bandwidth-service');
+const { searchIndexers } = require('./indexer-service');
+const qualityProfileService = require('./quality-profile-service');
 
-const PROWLARR_BASE_URL = process.env.PROWLARR_BASE_URL || 'http://localhost:9696';
-const PROWLARR_API_KEY = process.env.PROWLARR_API_KEY;
+// RD checks at most this many hashes per request
+const MAX_RD_HASHES = 100;
 
 /**
- * Search Prowlarr for content
+ * Whether a result is inside the profile's size window with 5+ seeders
+ * (by default movies: 1-20GB, episodes: 0.2-5GB)
+ */
+function isQualityResult(r, type, profile) {
+  return qualityProfileService.isPreferredSize(profile, r.size, type) && (r.seeders || 0) >= 5;
+}
+
+/**
+ * Why a result breaks the profile's hard limits, or null
+ */
+function getProfileViolation(r, type, profile) {
+  return qualityProfileService.checkRelease(profile, r.release || parseRelease(r.title), { sizeBytes: r.size, type });
+}
+
+/**
+ * Mark results with their Real-Debrid cache status
+ *
+ * Sets rdCached on each result: true when RD has the torrent cached (plays
+ * at once), false when it doesn't, null when it wasn't checked (no API key,
+ * no infohash, past the first MAX_RD_HASHES hashes, or the RD check failed or
+ * timed out).
+ *
+ * @param {Object[]} results - Results with a lowercase infoHash
+ * @param {string|null} rdApiKey
+ * @returns {Promise<Object[]>} The same results, annotated
+ */
+async function annotateRdCache(results, rdApiKey) {
+  const hashes = [...new Set(results.map(r => r.infoHash).filter(Boolean))].slice(0, MAX_RD_HASHES);
+  const cached = rdApiKey && hashes.length > 0
+    ? await checkInstantAvailability(hashes, rdApiKey)
+    : null;
+
+  for (const r of results) {
+    r.rdCached = cached && hashes.includes(r.infoHash) ? cached.has(r.infoHash) : null;
+  }
+
+  return results;
+}
+
+/**
+ * Order results best first
+ *
+ * Results inside the quality profile's size window with 5+ seeders (similar,
+ * good quality) come first, followed by everything else. With
+ * maxBitrateMbps, releases whose estimated bitrate fits come before those
+ * that don't. CAM/TS/screener rips, samples and extras come after those,
+ * and releases the profile rules out last. Within each of these groups
+ * torrents cached on RD come first - a cached 1080p beats waiting on a
+ * better-seeded 4K - then releases in the profile's languages, then by
+ * seeders (by size, smallest first, with preferSmaller).
+ *
+ * @param {Object[]} results - Results with title, size, seeders and optionally bitrateMbps, release, rdCached
+ * @param {Object} options
+ * @param {string} options.type - 'movie' or 'tv'
+ * @param {number} [options.maxBitrateMbps]
+ * @param {Object} [options.profile] - Quality profile; the built-in defaults when omitted
+ * @returns {Object[]} A new, sorted array
+ */
+function rankCandidates(results, { type, maxBitrateMbps, profile = qualityProfileService.getDefaults() }) {
+  const languageRank = (r) => qualityProfileService.getLanguageRank(profile, r.release || parseRelease(r.title));
+  const byPreference = (a, b) =>
+    (b.rdCached === true) - (a.rdCached === true) ||
+    languageRank(a) - languageRank(b) ||
+    (profile.preferSmaller ? (a.size || 0) - (b.size || 0) : 0) ||
+    (b.seeders || 0) - (a.seeders || 0);
+
+  // Releases the connection can't sustain go after those it can (still better than nothing)
+  const fits = (r) => !maxBitrateMbps || !r.bitrateMbps || r.bitrateMbps <= maxBitrateMbps;
+  const unwatchable = (r) => isUnwatchable(r.release || parseRelease(r.title));
+  const quality = (r) => isQualityResult(r, type, profile);
+
+  const allowed = results.filter(r => !getProfileViolation(r, type, profile));
+  const watchable = allowed.filter(r => !unwatchable(r));
+  const groups = [
+    watchable.filter(r => fits(r) && quality(r)),
+    watchable.filter(r => fits(r) && !quality(r)),
+    watchable.filter(r => !fits(r) && quality(r)),
+    watchable.filter(r => !fits(r) && !quality(r)),
+    allowed.filter(unwatchable),
+    results.filter(r => !allowed.includes(r))
+  ];
+
+  return groups.flatMap(group => group.sort(byPreference));
+}
+
+/**
+ * Search the indexers (Prowlarr and Torznab, see indexer-service) for content
+ * and return every usable result, best first
+ *
+ * See rankCandidates for the order. With a quality profile, releases it
+ * rules out are left out. With rdApiKey, results carry their RD cache status
+ * (rdCached). Each result carries its parsed release name as `release`.
  *
  * @param {Object} params - Search parameters
  * @param {string} params.title - Content title
@@ -13,14 +109,14 @@ const PROWLARR_API_KEY = process.env.PROWLARR_API_KEY;
  * @param {string} params.type - Content type ('movie' or 'tv')
  * @param {number} [params.season] - Season number (for TV)
  * @param {number} [params.episode] - Episode number (for TV)
- * @returns {Promise<Object>} Best match with magnet link
+ * @param {number} [params.duration] - Runtime in minutes (used to estimate bitrate)
+ * @param {number} [params.maxBitrateMbps] - Highest bitrate the client can sustain
+ * @param {string} [params.rdApiKey] - Enables the RD cache check
+ * @param {Object} [params.profile] - User's quality profile (see quality-profile-service)
+ * @returns {Promise<Object[]>} Ranked candidates with magnet links
  */
-async function searchContent({ title, year, type, season, episode }) {
+async function searchCandidates({ title, year, type, season, episode, duration, maxBitrateMbps, rdApiKey, profile }) {
   try {
-    if (!PROWLARR_API_KEY) {
-      throw new Error('Prowlarr API key not configured');
-    }
-
     // Build search query
     let query = title;
     if (year) query += ` ${year}`;
@@ -28,53 +124,53 @@ async function searchContent({ title, year, type, season, episode }) {
       query += ` S${String(season).padStart(2, '0')}E${String(episode).padStart(2, '0')}`;
     }
 
-    logger.info(`Searching Prowlarr: ${query}`);
-
-    const response = await axios.get(`${PROWLARR_BASE_URL}/api/v1/search`, {
-      params: {
-        query,
-        type: type === 'movie' ? 'movie' : 'tvsearch'
-      },
-      headers: {
-        'X-Api-Key': PROWLARR_API_KEY
-      },
-      timeout: 30000
-    });
+    logger.info(`Searching indexers: ${query}`);
+
+    let results = (await searchIndexers({ query, type: type === 'movie' ? 'movie' : 'tv' }))
+      .filter(r => r.magnetUrl);
 
-    const results = response.data;
+    if (profile) {
+      const allowed = results.filter(r => !getProfileViolation(r, type, profile));
+      if (allowed.length < results.length) {
+        logger.info(`Indexers: ${results.length - allowed.length}/${results.length} results ruled out by the quality profile`);
+      }
+      results = allowed;
+    }
 
-    if (!results || results.length === 0) {
-      logger.info('No results found in Prowlarr');
-      return null;
+    if (results.length === 0) {
+      logger.info('No results found by the indexers');
+      return [];
     }
 
-    // Sort by seeders (prefer well-seeded content)
+    // Best-seeded first, so they are the ones checked against RD
     results.sort((a, b) => (b.seeders || 0) - (a.seeders || 0));
 
-    // Filter for quality (prefer results with reasonable file size)
-    const qualityResults = results.filter(r => {
-      const sizeGB = (r.size || 0) / (1024 * 1024 * 1024);
-      // For movies: prefer 1-20GB, for episodes: prefer 0.2-5GB
-      if (type === 'movie') {
-        return sizeGB >= 1 && sizeGB <= 20 && (r.seeders || 0) >= 5;
-      } else {
-        return sizeGB >= 0.2 && sizeGB <= 5 && (r.seeders || 0) >= 5;
-      }
-    });
+    const runtime = duration || (type === 'movie'
+      ? QUALITY_THRESHOLDS.MOVIE_DURATION
+      : QUALITY_THRESHOLDS.EPISODE_DURATION.default);
 
-    const bestResult = qualityResults[0] || results[0];
+    const candidates = await annotateRdCache(results.map(r => ({
+      title: r.title,
+      magnetUrl: r.magnetUrl,
+      infoHash: r.infoHash,
+      size: r.size,
+      seeders: r.seeders,
+      indexer: r.indexer,
+      release: parseRelease(r.title),
+      bitrateMbps: bandwidthService.estimateBitrateMbps(r.size, runtime)
+    })), rdApiKey);
 
-    logger.info(`Found content: ${bestResult.title} (${Math.round((bestResult.size || 0) / (1024 * 1024 * 1024) * 10) / 10}GB, ${bestResult.seeders || 0} seeders)`);
+    if (maxBitrateMbps) {
+      const fitting = candidates.filter(c => !c.bitrateMbps || c.bitrateMbps <= maxBitrateMbps).length;
+      logger.info(`Indexers: ${fitting}/${candidates.length} results fit ${maxBitrateMbps} Mbps`);
+    }
+    if (rdApiKey) {
+      logger.info(`Indexers: ${candidates.filter(c => c.rdCached).length}/${candidates.length} results cached on RD`);
+    }
 
-    return {
-      title: bestResult.title,
-      magnetUrl: bestResult.magnetUrl || bestResult.downloadUrl,
-      size: bestResult.size,
-      seeders: bestResult.seeders,
-      indexer: bestResult.indexer
-    };
+    return rankCandidates(candidates, { type, maxBitrateMbps, profile });
   } catch (error) {
-    logger.error('Prowlarr search error:', {
+    logger.error('Indexer search error:', {
       message: error.message,
       code: error.code,
       status: error.response?.status
@@ -83,6 +179,29 @@ async function searchContent({ title, year, type, season, episode }) {
   }
 }
 
+/**
+ * Search the indexers for content
+ *
+ * @param {Object} params - Search parameters (see searchCandidates)
+ * @returns {Promise<Object|null>} Best match with magnet link
+ */
+async function searchContent(params) {
+  const candidates = await searchCandidates(params);
+  const bestResult = candidates[0];
+
+  if (!bestResult) {
+    return null;
+  }
+
+  logger.info(`Found content: ${bestResult.title} (${Math.round((bestResult.size || 0) / (1024 * 1024 * 1024) * 10) / 10}GB, ${bestResult.seeders || 0} seeders${bestResult.rdCached ? ', cached on RD' : ''})`);
+
+  return bestResult;
+}
+
 module.exports = {
-  searchContent
+  searchCandidates,
+  searchContent,
+  annotateRdCache,
+  rankCandidates,
+  getProfileViolation
 };
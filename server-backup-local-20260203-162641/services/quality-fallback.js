@@ -0,0 +1,189 @@
+const { calculateQualityScore, QUALITY_THRESHOLDS } = require('@duckflix/zurg-client');
+const { isUnwatchable } = require('@duckflix/release-parser');
+const { deleteTorrent } = require('@duckflix/rd-client');
+const logger = require('../utils/logger');
+const { withTimeout } = require('../utils/with-timeout');
+const downloadJobManager = require('./download-job-manager');
+const { searchZurg } = require('./zurg-search');
+const { searchCandidates } = require('./prowlarr-service');
+const { resolveZurgToRdLink } = require('./zurg-to-rd-resolver');
+const badSourceService = require('./bad-source-service');
+
+// A fallback must be at most this fraction of the current bitrate to be worth switching to
+const MAX_BITRATE_RATIO = 0.75;
+
+// Player is stuttering - don't wait long for an uncached torrent
+const DOWNLOAD_TIMEOUT_MS = 45000;
+
+/**
+ * Convert a bitrate to the MB-per-minute scale used by calculateQualityScore
+ */
+function mbpsToMbPerMinute(mbps) {
+  return (mbps * 1000000 / 8) * 60 / (1024 * 1024);
+}
+
+/**
+ * Stop an RD download that took too long and remove its torrent
+ *
+ * Runs in the background - the player has moved on. The torrent ID comes
+ * from onTorrentAdded, or from the abort error when the torrent was added
+ * while the timeout fired. A torrent a download job took over is kept.
+ *
+ * @param {Promise} download - The downloadFromRD promise
+ * @param {AbortController} controller - Its abort controller
+ * @param {function(): string|null} getTorrentId - Torrent ID reported by onTorrentAdded
+ * @param {string} rdApiKey
+ */
+function abandonDownload(download, controller, getTorrentId, rdApiKey) {
+  controller.abort();
+
+  download
+    .then(() => getTorrentId(), error => error.torrentId || getTorrentId())
+    .then(async (torrentId) => {
+      if (!torrentId || downloadJobManager.findJobByTorrent(torrentId)) {
+        return;
+      }
+      await deleteTorrent(torrentId, rdApiKey);
+      logger.info(`Fallback: deleted RD torrent ${torrentId} of timed-out download`);
+    })
+    .catch(error => logger.warn(`Fallback: failed to remove timed-out download: ${error.message}`));
+}
+
+/**
+ * Find a lower-bitrate stream for content that is stuttering
+ *
+ * Zurg matches and Prowlarr candidates are scored in MB per minute over the
+ * runtime. The best release below the ceiling wins, where the ceiling is
+ * MAX_BITRATE_RATIO of the current bitrate (from the client, or the file being
+ * played) capped by the user's measured max bitrate. Zurg files are tried
+ * first since they are already in the RD account.
+ *
+ * @param {Object} params
+ * @param {number} [params.duration] - Runtime in minutes
+ * @param {number} [params.currentBitrate] - Current stream bitrate in bits/s
+ * @param {string} [params.currentFileName] - File currently being played
+ * @param {number} [params.maxBitrateMbps] - User's measured max bitrate
+ * @param {Object} [params.profile] - User's quality profile; releases it rules out aren't offered
+ * @param {string} params.rdApiKey
+ * @returns {Promise<{streamUrl: string, source: string, fileName: string, quality: string, mbPerMinute: number}|null>}
+ */
+async function findLowerQualityStream({
+  tmdbId, title, year, type, season, episode, duration,
+  currentBitrate, currentFileName, maxBitrateMbps, profile, rdApiKey
+}) {
+  const runtime = duration || (type === 'movie'
+    ? QUALITY_THRESHOLDS.MOVIE_DURATION
+    : QUALITY_THRESHOLDS.EPISODE_DURATION.default);
+
+  const zurgResult = await searchZurg({ title, year, type, season, episode, duration, profile });
+  const prowlarrResults = await searchCandidates({ title, year, type, season, episode, duration, profile })
+    .catch(err => {
+      logger.warn(`Fallback: Prowlarr unavailable: ${err.message}`);
+      return [];
+    });
+
+  const options = [
+    ...(zurgResult.matches || []).map(m => ({
+      kind: 'zurg',
+      title: m.fileName,
+      fileName: m.fileName,
+      filePath: m.filePath,
+      infoHash: null,
+      size: m.fileSize,
+      release: m.release,
+      quality: m.quality
+    })),
+    ...prowlarrResults.map(r => ({
+      kind: 'torrent',
+      title: r.title,
+      magnetUrl: r.magnetUrl,
+      infoHash: r.infoHash,
+      size: r.size,
+      release: r.release,
+      quality: r.release.resolutionLabel || 'HD'
+    }))
+  ]
+    // A CAM rip or sample is light, but never worth switching to
+    .filter(o => o.size && !isUnwatchable(o.release))
+    .map(o => ({ ...o, ...calculateQualityScore(o.size, runtime) }));
+
+  // Work out what "lower" means
+  let currentMbPerMinute = currentBitrate ? mbpsToMbPerMinute(currentBitrate / 1000000) : null;
+  if (!currentMbPerMinute && currentFileName) {
+    currentMbPerMinute = options.find(o => o.fileName === currentFileName)?.mbPerMinute || null;
+  }
+
+  const limits = [
+    currentMbPerMinute ? currentMbPerMinute * MAX_BITRATE_RATIO : null,
+    maxBitrateMbps ? mbpsToMbPerMinute(maxBitrateMbps) : null
+  ].filter(Boolean);
+  const ceiling = limits.length > 0 ? Math.min(...limits) : null;
+
+  const exclusions = badSourceService.getExclusions({ tmdbId, type, season, episode });
+  const eligible = options.filter(o =>
+    o.fileName !== currentFileName &&
+    (ceiling === null || o.mbPerMinute < ceiling) &&
+    !badSourceService.isExcluded(exclusions, o)
+  );
+
+  // Best watchable quality under the ceiling; with no ceiling, the lightest watchable release
+  const byPreference = (a, b) => {
+    if (a.meetsThreshold !== b.meetsThreshold) {
+      return a.meetsThreshold ? -1 : 1;
+    }
+    return ceiling === null ? a.mbPerMinute - b.mbPerMinute : b.mbPerMinute - a.mbPerMinute;
+  };
+
+  const ordered = [
+    ...eligible.filter(o => o.kind === 'zurg').sort(byPreference),
+    ...eligible.filter(o => o.kind === 'torrent').sort(byPreference)
+  ];
+
+  logger.info(`Fallback for ${title}: ${ordered.length}/${options.length} options under ${ceiling ? `${ceiling.toFixed(1)} MB/min` : 'no ceiling'}`);
+
+  const deadline = Date.now() + DOWNLOAD_TIMEOUT_MS;
+
+  for (const option of ordered) {
+    try {
+      if (option.kind === 'zurg') {
+        const rdLink = await resolveZurgToRdLink(option.filePath, rdApiKey);
+        if (rdLink) {
+          return { streamUrl: rdLink, source: 'rd-via-zurg', fileName: option.fileName, quality: option.quality, mbPerMinute: option.mbPerMinute };
+        }
+        continue;
+      }
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        break;
+      }
+
+      const { downloadFromRD } = require('@duckflix/rd-client');
+      const controller = new AbortController();
+      let torrentId = null;
+      const download = downloadFromRD(option.magnetUrl, rdApiKey, season, episode, () => {}, {
+        signal: controller.signal,
+        onTorrentAdded: (id) => { torrentId = id; }
+      });
+
+      const result = await withTimeout(download, remaining);
+      if (result === null) {
+        logger.warn(`Fallback option timed out waiting for Real-Debrid (${option.title})`);
+        abandonDownload(download, controller, () => torrentId, rdApiKey);
+        break;
+      }
+
+      if (result?.download) {
+        return { streamUrl: result.download, source: 'rd-download', fileName: result.filename, quality: option.quality, mbPerMinute: option.mbPerMinute };
+      }
+    } catch (error) {
+      logger.warn(`Fallback option failed (${option.title}): ${error.message}`);
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  findLowerQualityStream
+};
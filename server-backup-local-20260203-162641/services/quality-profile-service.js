@@ -0,0 +1,349 @@
+const { QUALITY_THRESHOLDS } = require('@duckflix/zurg-client');
+const { getResolutionLabel } = require('@duckflix/release-parser');
+const { db } = require('../db/init');
+const logger = require('../utils/logger');
+
+// user_id used for the global (all users) profile
+const GLOBAL_USER_ID = 0;
+
+const GB = 1024 * 1024 * 1024;
+
+/**
+ * Profile fields with their defaults and allowed values
+ *
+ * The size windows used to be fixed in searchContent (1-20GB movies,
+ * 0.2-5GB episodes); results outside them are ranked lower, not dropped.
+ * Size caps (0 = none), resolutions, codecs and HDR are hard limits.
+ */
+const PROFILE_FIELDS = {
+  maxResolution: { type: 'resolution', default: 2160, options: [480, 720, 1080, 2160] },
+  minResolution: { type: 'resolution', default: 0, options: [0, 480, 720, 1080, 2160] },
+  // Releases whose codec isn't named are always allowed
+  videoCodecs: { type: 'list', default: ['h264', 'hevc', 'av1', 'xvid'], options: ['h264', 'hevc', 'av1', 'xvid'] },
+  allowDolbyVision: { type: 'boolean', default: true },
+  // Off also rules out Dolby Vision (most DV-only releases look wrong on SDR screens)
+  allowHdr: { type: 'boolean', default: true },
+  // ISO 639-1 codes, most preferred first; empty = no preference
+  audioLanguages: { type: 'list', default: [], pattern: /^[a-z]{2}$/ },
+  minMovieSizeGB: { type: 'number', default: 1, min: 0, max: 200 },
+  maxMovieSizeGB: { type: 'number', default: 20, min: 0.1, max: 200 },
+  minEpisodeSizeGB: { type: 'number', default: 0.2, min: 0, max: 50 },
+  maxEpisodeSizeGB: { type: 'number', default: 5, min: 0.1, max: 50 },
+  movieSizeCapGB: { type: 'number', default: 0, min: 0, max: 200 },
+  episodeSizeCapGB: { type: 'number', default: 0, min: 0, max: 50 },
+  minMbPerMinute: { type: 'number', default: QUALITY_THRESHOLDS.MIN_MB_PER_MINUTE, min: 0, max: 500 },
+  // Pick the smallest release that meets the profile instead of the biggest
+  preferSmaller: { type: 'boolean', default: false }
+};
+
+/**
+ * Quality profiles: built-in defaults < global profile < parent account < user
+ *
+ * A sub-account inherits its parent account's profile, so a profile set on
+ * the main account covers every sub-account that doesn't set its own.
+ */
+class QualityProfileService {
+  /**
+   * Effective profile for a user
+   */
+  getForUser(userId) {
+    return this.resolve(userId, id => this.getStored(id));
+  }
+
+  /**
+   * Merge a user's profile layers, reading stored fields through getStored
+   */
+  resolve(userId, getStored) {
+    const user = userId
+      ? db.prepare('SELECT parent_user_id FROM users WHERE id = ?').get(userId)
+      : null;
+
+    return {
+      ...this.getDefaults(),
+      ...getStored(GLOBAL_USER_ID),
+      ...(user?.parent_user_id ? getStored(user.parent_user_id) : {}),
+      ...(userId ? getStored(userId) : {})
+    };
+  }
+
+  getDefaults() {
+    return Object.fromEntries(
+      Object.entries(PROFILE_FIELDS).map(([key, def]) => [key, def.default])
+    );
+  }
+
+  /**
+   * Global profile (with defaults filled in)
+   */
+  getGlobal() {
+    return { ...this.getDefaults(), ...this.getStored(GLOBAL_USER_ID) };
+  }
+
+  /**
+   * Fields stored for a user ID (only fields that were set)
+   */
+  getStored(userId) {
+    const rows = db.prepare('SELECT key, value FROM quality_profiles WHERE user_id = ?').all(userId);
+
+    return Object.fromEntries(
+      rows.filter(row => PROFILE_FIELDS[row.key]).map(row => [row.key, JSON.parse(row.value)])
+    );
+  }
+
+  /**
+   * All per-user profiles, grouped by user
+   */
+  getOverrides() {
+    const rows = db.prepare(`
+      SELECT p.user_id, u.username, u.parent_user_id, p.key, p.value
+      FROM quality_profiles p
+      LEFT JOIN users u ON u.id = p.user_id
+      WHERE p.user_id != ?
+      ORDER BY u.username
+    `).all(GLOBAL_USER_ID);
+
+    const byUser = new Map();
+    for (const row of rows.filter(r => PROFILE_FIELDS[r.key])) {
+      if (!byUser.has(row.user_id)) {
+        byUser.set(row.user_id, {
+          userId: row.user_id,
+          username: row.username,
+          parentUserId: row.parent_user_id,
+          profile: {}
+        });
+      }
+      byUser.get(row.user_id).profile[row.key] = JSON.parse(row.value);
+    }
+
+    return [...byUser.values()];
+  }
+
+  /**
+   * Check a partial profile
+   *
+   * Besides each field, the effective profile it would give is checked (the
+   * user's and of every account inheriting it), since a patch only carries the
+   * fields that changed.
+   *
+   * @param {Object} values - { field: value | null } (null clears a field)
+   * @param {number} [userId] - Whose profile is patched (the global one when omitted)
+   * @returns {string|null} Error message, or null if valid
+   */
+  validate(values, userId = GLOBAL_USER_ID) {
+    if (!values || typeof values !== 'object' || Object.keys(values).length === 0) {
+      return 'No profile fields provided';
+    }
+
+    for (const [key, value] of Object.entries(values)) {
+      const def = PROFILE_FIELDS[key];
+      if (!def) {
+        return `Unknown profile field: ${key}`;
+      }
+      if (value === null) {
+        continue;
+      }
+
+      switch (def.type) {
+        case 'resolution':
+          if (!def.options.includes(value)) {
+            return `${key} must be one of ${def.options.join(', ')}`;
+          }
+          break;
+        case 'boolean':
+          if (typeof value !== 'boolean') {
+            return `${key} must be true or false`;
+          }
+          break;
+        case 'number':
+          if (typeof value !== 'number' || !Number.isFinite(value) || value < def.min || value > def.max) {
+            return `${key} must be a number between ${def.min} and ${def.max}`;
+          }
+          break;
+        case 'list':
+          if (!Array.isArray(value) || value.some(item =>
+            typeof item !== 'string' || (def.options ? !def.options.includes(item) : !def.pattern.test(item))
+          )) {
+            return def.options
+              ? `${key} must be a list of ${def.options.join(', ')}`
+              : `${key} must be a list of two-letter language codes`;
+          }
+          break;
+      }
+    }
+
+    const getStored = (id) => {
+      const stored = this.getStored(id);
+      if (id !== userId) {
+        return stored;
+      }
+      for (const [key, value] of Object.entries(values)) {
+        if (value === null) {
+          delete stored[key];
+        } else {
+          stored[key] = value;
+        }
+      }
+      return stored;
+    };
+
+    // The global profile reaches everyone, a user's profile their sub-accounts
+    const affected = userId === GLOBAL_USER_ID
+      ? db.prepare('SELECT id, username FROM users').all()
+      : db.prepare('SELECT id, username FROM users WHERE parent_user_id = ?').all(userId);
+
+    for (const user of [{ id: userId }, ...affected.filter(u => u.id !== userId)]) {
+      const error = this.checkConsistency(this.resolve(user.id, getStored));
+      if (error) {
+        return user.username ? `${error} for ${user.username}` : error;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Why an effective profile can't match anything sensible, if it can't
+   */
+  checkConsistency(profile) {
+    if (profile.minResolution && profile.minResolution > profile.maxResolution) {
+      return 'minResolution must not be above maxResolution';
+    }
+    if (profile.minMovieSizeGB > profile.maxMovieSizeGB) {
+      return 'minMovieSizeGB must not be above maxMovieSizeGB';
+    }
+    if (profile.minEpisodeSizeGB > profile.maxEpisodeSizeGB) {
+      return 'minEpisodeSizeGB must not be above maxEpisodeSizeGB';
+    }
+    if (profile.videoCodecs.length === 0) {
+      return 'videoCodecs must allow at least one codec';
+    }
+
+    return null;
+  }
+
+  /**
+   * Set global fields (userId omitted) or a user's fields; null values are cleared
+   * Call validate() first.
+   */
+  setValues(values, userId = GLOBAL_USER_ID) {
+    const now = Date.now();
+    const upsert = db.prepare(`
+      INSERT INTO quality_profiles (user_id, key, value, updated_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(user_id, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+    `);
+    const remove = db.prepare('DELETE FROM quality_profiles WHERE user_id = ? AND key = ?');
+
+    db.transaction(() => {
+      for (const [key, value] of Object.entries(values)) {
+        if (value === null) {
+          remove.run(userId, key);
+        } else {
+          upsert.run(userId, key, JSON.stringify(value), now);
+        }
+      }
+    })();
+
+    logger.info(`[Quality] Profile updated for ${userId === GLOBAL_USER_ID ? 'all users' : `user ${userId}`}: ${JSON.stringify(values)}`);
+  }
+
+  /**
+   * Remove a user's profile (they fall back to their parent's or the global one)
+   */
+  clearProfile(userId) {
+    return db.prepare('DELETE FROM quality_profiles WHERE user_id = ?').run(userId).changes;
+  }
+
+  /**
+   * Field definitions (defaults and allowed values) for the admin UI
+   */
+  getDefinitions() {
+    return Object.fromEntries(
+      Object.entries(PROFILE_FIELDS).map(([key, { pattern, ...def }]) => [key, def])
+    );
+  }
+
+  /**
+   * Why a release breaks the profile's hard limits, if it does
+   *
+   * Unknown resolutions and codecs pass - most names that leave them out are
+   * ordinary 1080p H.264 releases. The episode size cap doesn't apply to
+   * season packs, where only one file gets played.
+   *
+   * @param {Object} profile - From getForUser
+   * @param {Object} release - From parseRelease (or { resolution, videoCodec, hdr[] })
+   * @param {Object} [details]
+   * @param {number} [details.sizeBytes]
+   * @param {string} [details.type] - 'movie' or 'tv'
+   * @returns {string|null} Reason, or null when the release is allowed
+   */
+  checkRelease(profile, release, { sizeBytes = null, type = 'movie' } = {}) {
+    const { resolution, videoCodec } = release;
+    const hdr = release.hdr || [];
+
+    if (resolution && resolution > profile.maxResolution) {
+      return `above ${getResolutionLabel(profile.maxResolution) || `${profile.maxResolution}p`}`;
+    }
+    if (resolution && profile.minResolution && resolution < profile.minResolution) {
+      return `below ${getResolutionLabel(profile.minResolution) || `${profile.minResolution}p`}`;
+    }
+    if (videoCodec && !profile.videoCodecs.includes(videoCodec)) {
+      return `${videoCodec.toUpperCase()} not allowed`;
+    }
+    if (hdr.length > 0 && !profile.allowHdr) {
+      return `${hdr.join('/')} not allowed`;
+    }
+    if (hdr.includes('DV') && !profile.allowDolbyVision) {
+      return 'Dolby Vision not allowed';
+    }
+
+    const capGB = type === 'movie' ? profile.movieSizeCapGB : profile.episodeSizeCapGB;
+    if (capGB && sizeBytes && sizeBytes > capGB * GB && !release.isSeasonPack) {
+      return `over ${capGB} GB`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a size is inside the profile's preferred window
+   *
+   * @param {Object} profile
+   * @param {number} sizeBytes
+   * @param {string} type - 'movie' or 'tv'
+   */
+  isPreferredSize(profile, sizeBytes, type) {
+    const sizeGB = (sizeBytes || 0) / GB;
+    return type === 'movie'
+      ? sizeGB >= profile.minMovieSizeGB && sizeGB <= profile.maxMovieSizeGB
+      : sizeGB >= profile.minEpisodeSizeGB && sizeGB <= profile.maxEpisodeSizeGB;
+  }
+
+  /**
+   * How well a release's languages match the profile (lower is better)
+   *
+   * 0: a preferred language is tagged (or nothing is tagged and English is
+   * preferred - untagged releases are almost always English), 1: multi-language
+   * or untagged, 2: only other languages. Always 0 without preferred languages.
+   *
+   * @param {Object} profile
+   * @param {Object} release - From parseRelease
+   * @returns {number}
+   */
+  getLanguageRank(profile, release) {
+    const preferred = profile.audioLanguages;
+    if (!preferred || preferred.length === 0) {
+      return 0;
+    }
+
+    const languages = release.languages || [];
+    if (languages.some(language => preferred.includes(language)) ||
+      (languages.length === 0 && preferred.includes('en'))) {
+      return 0;
+    }
+
+    return languages.length === 0 || release.multiLanguage ? 1 : 2;
+  }
+}
+
+module.exports = new QualityProfileService();
@@ -1,17 +1,81 @@
+const axios = require('axios');
+const { QUALITY_THRESHOLDS } = require('@duckflix/zurg-client');
+const { parseRelease } = require('@duckflix/release-parser');
 const { db } = require('../db/init');
 const logger = require('../utils/logger');
+const bandwidthService = require('./bandwidth-service');
+const qualityProfileService = require('./quality-profile-service');
 
 const CACHE_TTL = 48 * 60 * 60 * 1000; // 48 hours in ms
+const VALIDATION_TTL = 10 * 60 * 1000; // Links probed within 10 minutes aren't probed again
+const PROBE_TIMEOUT = 5000;
+
+/**
+ * Probe a link with a 1-byte range request
+ *
+ * @returns {Promise<boolean|null>} false if the host says the link is gone,
+ *   null if it couldn't tell (timeout, server error)
+ */
+async function probeLink(url) {
+  try {
+    const response = await axios.get(url, {
+      headers: { Range: 'bytes=0-0' },
+      responseType: 'stream',
+      timeout: PROBE_TIMEOUT,
+      validateStatus: () => true
+    });
+    response.data.destroy();
+
+    if (response.status < 300) return true;
+    if (response.status >= 400 && response.status < 500) return false;
+    return null;
+  } catch (error) {
+    logger.warn(`[RD Cache] Probe failed for ${url}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Quality details from a release or file name
+ *
+ * @returns {{resolution: number|null, videoCodec: string|null, hdr: string|null}}
+ */
+function describeRelease(name) {
+  if (!name) {
+    return { resolution: null, videoCodec: null, hdr: null };
+  }
+
+  const { resolution, videoCodec, hdr } = parseRelease(name);
+
+  return {
+    resolution: resolution || null,
+    videoCodec,
+    hdr: hdr.length > 0 ? hdr.join(',') : null
+  };
+}
 
 class RdCacheService {
   /**
-   * Get cached RD link if available and not expired
+   * Get the best cached RD link that fits the user's limits, if any
+   *
+   * Higher resolution wins, then the newer link. Links the user's quality
+   * profile rules out (resolution, codec, HDR, size cap) or that are above
+   * maxBitrateMbps (by estimated bitrate) are left out, so a null result means
+   * a new download. RD can invalidate a download before the link expires, so
+   * links are probed before they're returned; dead ones are evicted and the
+   * next one is tried.
+   *
+   * @param {Object} contentInfo - { tmdbId, type, season, episode }
+   * @param {Object} [limits]
+   * @param {Object} [limits.profile] - User's quality profile (see quality-profile-service)
+   * @param {number} [limits.maxBitrateMbps] - From the user's bandwidth measurement
    */
-  async getCachedLink({ tmdbId, type, season, episode }) {
+  async getCachedLink({ tmdbId, type, season, episode }, { profile = null, maxBitrateMbps = null } = {}) {
     const now = Date.now();
 
     const query = `
-      SELECT stream_url, file_name, expires_at
+      SELECT stream_url, file_name, release_title, release_hash, validated_at, expires_at,
+             resolution, file_size, video_codec, hdr
       FROM rd_link_cache
       WHERE tmdb_id = ?
         AND type = ?
@@ -19,10 +83,9 @@ class RdCacheService {
         AND (episode IS ? OR episode = ?)
         AND expires_at > ?
       ORDER BY created_at DESC
-      LIMIT 1
     `;
 
-    const result = db.prepare(query).get(
+    const rows = db.prepare(query).all(
       tmdbId,
       type,
       season,
@@ -32,16 +95,45 @@ class RdCacheService {
       now
     );
 
-    if (result) {
+    const candidates = rows
+      .map(row => ({ row, quality: this.getQuality(row, type) }))
+      .sort((a, b) => (b.quality.resolution || 0) - (a.quality.resolution || 0));
+
+    const fitting = candidates.filter(({ row, quality }) => {
+      const reason = profile && qualityProfileService.checkRelease(profile, {
+        resolution: quality.resolution,
+        videoCodec: quality.videoCodec,
+        hdr: quality.hdr ? quality.hdr.split(',') : []
+      }, { sizeBytes: quality.fileSize, type });
+
+      if (reason) {
+        logger.info(`[RD Cache] Skipping ${row.file_name || row.release_title} (${reason})`);
+        return false;
+      }
+      return !(maxBitrateMbps && quality.bitrateMbps > maxBitrateMbps);
+    });
+
+    if (fitting.length < candidates.length) {
+      logger.info(`[RD Cache] ${candidates.length - fitting.length} cached link(s) outside the user's limits`);
+    }
+
+    for (const { row: result, quality } of fitting) {
+      if (!await this.validateLink(result)) {
+        continue;
+      }
+
       // Update last accessed timestamp
       db.prepare(
         'UPDATE rd_link_cache SET last_accessed_at = ? WHERE stream_url = ?'
       ).run(now, result.stream_url);
 
-      logger.info(`[RD Cache] HIT for ${type} ${tmdbId} ${season}x${episode}`);
+      logger.info(`[RD Cache] HIT for ${type} ${tmdbId} ${season}x${episode} (${quality.resolution || '?'}p)`);
       return {
         streamUrl: result.stream_url,
-        fileName: result.file_name
+        fileName: result.file_name,
+        releaseTitle: result.release_title,
+        releaseHash: result.release_hash,
+        quality
       };
     }
 
@@ -49,17 +141,111 @@ class RdCacheService {
     return null;
   }
 
+  /**
+   * Quality of a cached link
+   *
+   * Rows cached before quality was recorded fall back to parsing the release
+   * and file names. The bitrate is estimated from the file size and a typical
+   * runtime.
+   */
+  getQuality(row, type) {
+    const parsed = describeRelease(row.release_title);
+    const fromFile = describeRelease(row.file_name);
+    const duration = type === 'movie'
+      ? QUALITY_THRESHOLDS.MOVIE_DURATION
+      : QUALITY_THRESHOLDS.EPISODE_DURATION.default;
+
+    return {
+      resolution: row.resolution ?? parsed.resolution ?? fromFile.resolution,
+      videoCodec: row.video_codec ?? parsed.videoCodec ?? fromFile.videoCodec,
+      hdr: row.hdr ?? parsed.hdr ?? fromFile.hdr,
+      fileSize: row.file_size ?? null,
+      bitrateMbps: bandwidthService.estimateBitrateMbps(row.file_size, duration)
+    };
+  }
+
+  /**
+   * Whether a cached link still works; dead links are evicted
+   *
+   * Links that couldn't be probed are kept (and served) - a slow RD host
+   * shouldn't empty the cache.
+   *
+   * @param {Object} row - rd_link_cache row (stream_url, validated_at)
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Probe even if the link was validated recently
+   * @returns {Promise<boolean>}
+   */
+  async validateLink(row, { force = false } = {}) {
+    const now = Date.now();
+
+    if (!force && row.validated_at && now - row.validated_at < VALIDATION_TTL) {
+      return true;
+    }
+
+    const valid = await probeLink(row.stream_url);
+
+    if (valid === false) {
+      db.prepare('DELETE FROM rd_link_cache WHERE stream_url = ?').run(row.stream_url);
+      logger.info(`[RD Cache] EVICTED dead link: ${row.stream_url}`);
+      return false;
+    }
+
+    if (valid) {
+      db.prepare('UPDATE rd_link_cache SET validated_at = ? WHERE stream_url = ?').run(now, row.stream_url);
+    }
+
+    return true;
+  }
+
+  /**
+   * Re-probe the cached links of titles/episodes (e.g. the ones being watched
+   * right now), so dead links are gone before the next request for them
+   *
+   * @param {Array<{tmdbId: number, type: string, season?: number, episode?: number}>} contents
+   * @returns {Promise<number>} Number of evicted links
+   */
+  async revalidateLinks(contents) {
+    const seen = new Set();
+    let evicted = 0;
+
+    for (const { tmdbId, type, season, episode } of contents) {
+      const key = `${type}:${tmdbId}:${season ?? ''}:${episode ?? ''}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const rows = db.prepare(`
+        SELECT stream_url, validated_at
+        FROM rd_link_cache
+        WHERE tmdb_id = ? AND type = ? AND season IS ? AND episode IS ? AND expires_at > ?
+      `).all(tmdbId, type, season ?? null, episode ?? null, Date.now());
+
+      for (const row of rows) {
+        if (!await this.validateLink(row, { force: true })) {
+          evicted++;
+        }
+      }
+    }
+
+    return evicted;
+  }
+
   /**
    * Cache a new RD link
+   *
+   * releaseTitle/releaseHash identify the release the link came from, so a
+   * report against a cached link can exclude that release. Resolution, codec
+   * and HDR flags are read from the release name (or the file name).
    */
-  async cacheLink({ tmdbId, title, year, type, season, episode, streamUrl, fileName }) {
+  async cacheLink({ tmdbId, title, year, type, season, episode, streamUrl, fileName, releaseTitle = null, releaseHash = null, fileSize = null }) {
     const now = Date.now();
     const expiresAt = now + CACHE_TTL;
+    const quality = this.getQuality({ release_title: releaseTitle, file_name: fileName }, type);
 
     const query = `
       INSERT INTO rd_link_cache
-      (tmdb_id, title, year, type, season, episode, stream_url, file_name, created_at, expires_at, last_accessed_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      (tmdb_id, title, year, type, season, episode, stream_url, file_name, release_title, release_hash,
+       resolution, file_size, video_codec, hdr, created_at, expires_at, last_accessed_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
     db.prepare(query).run(
@@ -71,12 +257,73 @@ class RdCacheService {
       episode,
       streamUrl,
       fileName,
+      releaseTitle,
+      releaseHash,
+      quality.resolution,
+      fileSize,
+      quality.videoCodec,
+      quality.hdr,
       now,
       expiresAt,
       now
     );
 
-    logger.info(`[RD Cache] CACHED for ${type} ${tmdbId} ${season}x${episode} (expires in 48h)`);
+    logger.info(`[RD Cache] CACHED for ${type} ${tmdbId} ${season}x${episode} (${quality.resolution || '?'}p, expires in 48h)`);
+  }
+
+  /**
+   * Get all cached links for a title/episode (including expired ones)
+   */
+  getLinksFor({ tmdbId, type, season, episode }) {
+    return db.prepare(`
+      SELECT stream_url, file_name, release_title, release_hash
+      FROM rd_link_cache
+      WHERE tmdb_id = ? AND type = ? AND season IS ? AND episode IS ?
+    `).all(tmdbId, type, season ?? null, episode ?? null).map(row => ({
+      streamUrl: row.stream_url,
+      fileName: row.file_name,
+      releaseTitle: row.release_title,
+      releaseHash: row.release_hash
+    }));
+  }
+
+  /**
+   * Whether an unexpired cached link came from a release (by info hash)
+   */
+  hasRelease(releaseHash) {
+    const row = db.prepare(
+      'SELECT 1 FROM rd_link_cache WHERE release_hash = ? AND expires_at > ? LIMIT 1'
+    ).get(releaseHash, Date.now());
+
+    return !!row;
+  }
+
+  /**
+   * Remove a title/episode's cached links from one release (e.g. after it was reported bad)
+   *
+   * Links from other releases (other qualities) are kept. Matched by info hash,
+   * or by file name for links without one; with neither nothing is removed.
+   *
+   * @param {Object} contentInfo - { tmdbId, type, season, episode }
+   * @param {Object} release - { releaseHash, fileName }
+   * @returns {number} Links removed
+   */
+  evictLinks({ tmdbId, type, season, episode }, { releaseHash = null, fileName = null } = {}) {
+    if (!releaseHash && !fileName) {
+      return 0;
+    }
+
+    const [column, value] = releaseHash ? ['release_hash', releaseHash] : ['file_name', fileName];
+    const result = db.prepare(`
+      DELETE FROM rd_link_cache
+      WHERE tmdb_id = ? AND type = ? AND season IS ? AND episode IS ? AND ${column} = ?
+    `).run(tmdbId, type, season ?? null, episode ?? null, value);
+
+    if (result.changes > 0) {
+      logger.info(`[RD Cache] EVICTED ${result.changes} link(s) for ${type} ${tmdbId} ${season}x${episode} (${value})`);
+    }
+
+    return result.changes;
   }
 
   /**
@@ -0,0 +1,457 @@
+const logger = require('../utils/logger');
+const rdCacheService = require('./rd-cache-service');
+const downloadJobManager = require('./download-job-manager');
+const downloadQueue = require('./download-queue');
+const playbackHistoryService = require('./playback-history-service');
+const badSourceService = require('./bad-source-service');
+const bandwidthService = require('./bandwidth-service');
+const qualityProfileService = require('./quality-profile-service');
+const skipMarkerService = require('./skip-marker-service');
+const embeddedTrackService = require('./embedded-track-service');
+const { getNextEpisode } = require('./tmdb-service');
+const { getUserRdApiKey } = require('./user-service');
+const { findZurgFile } = require('./zurg-search');
+const { resolveContent } = require('./content-resolver');
+const { resolveZurgToRdLink } = require('./zurg-to-rd-resolver');
+const { deleteTorrent } = require('@duckflix/rd-client');
+const { parseRelease } = require('@duckflix/release-parser');
+
+// Maximum number of Prowlarr sources tried before a job gives up
+const MAX_PROWLARR_CANDIDATES = 5;
+
+// Job fields copied from the job being followed (see followJob)
+const FOLLOWED_FIELDS = [
+  'status', 'progress', 'message', 'source', 'quality', 'magnetUrl', 'rdTorrentId',
+  'streamUrl', 'streamSource', 'fileName', 'fileSize', 'error', 'nextEpisode',
+  'skipMarkers', 'embeddedTracks'
+];
+
+/**
+ * Get the resolution label ("1080p", "4K", ...) from a release name
+ */
+function getQualityLabel(name) {
+  return parseRelease(name).resolutionLabel || 'HD';
+}
+
+/**
+ * RD errors that no other source can fix (bad API key, locked account)
+ */
+function isFatalRdError(error) {
+  const status = error.response?.status;
+  return status === 401 || status === 403;
+}
+
+/**
+ * Whether a candidate was already tried and rejected for this job
+ */
+function isRejected(job, candidate) {
+  return (job?.rejectedCandidates || []).some(r =>
+    (r.infoHash && r.infoHash === candidate.infoHash) || r.title === candidate.title
+  );
+}
+
+/**
+ * Get a stream link for one candidate
+ *
+ * @returns {Promise<{download: string, filename: string, source: string}>}
+ */
+async function downloadCandidate(jobId, candidate, rdApiKey, { season, episode }, torrentId, signal) {
+  if (candidate.kind === 'zurg') {
+    const rdLink = await resolveZurgToRdLink(candidate.filePath, rdApiKey);
+    if (!rdLink) {
+      throw new Error('Zurg file not found in Real-Debrid account');
+    }
+    return { download: rdLink, filename: candidate.title, source: 'rd-via-zurg' };
+  }
+
+  // Start RD download - progress bar shows ONLY actual RD download progress
+  const { downloadFromRD } = require('@duckflix/rd-client');
+
+  const result = await downloadFromRD(
+    candidate.magnetUrl,
+    rdApiKey,
+    season,
+    episode,
+    (rdProgress, rdMessage) => {
+      // rdProgress from RD client includes setup (10-20%) + download (20-90%)
+      // Extract ONLY the actual download progress from RD's torrent progress
+      // When rdMessage contains "Downloading: X%", that's the real RD progress
+      const rdMatch = rdMessage.match(/Downloading:\s*(\d+)%/);
+      if (rdMatch) {
+        // Use RD's actual download progress directly
+        const actualRdProgress = parseInt(rdMatch[1]);
+        downloadJobManager.updateJob(jobId, {
+          status: 'downloading',
+          progress: actualRdProgress,
+          message: `${candidate.quality}: ${actualRdProgress}%`
+        });
+      }
+      // Ignore other phases (adding, selecting, unrestricting) - those are quick
+    },
+    {
+      torrentId,
+      signal,
+      onTorrentAdded: (rdTorrentId) => {
+        downloadJobManager.updateJob(jobId, { rdTorrentId });
+      }
+    }
+  );
+
+  // Verify we got the link
+  if (!result || !result.download) {
+    throw new Error('Failed to get stream URL from Real-Debrid');
+  }
+
+  return { ...result, source: 'rd-download' };
+}
+
+/**
+ * Remove the torrent of a cancelled job from the user's RD account
+ *
+ * Kept when another job is still using it (a follower taking over) or when
+ * a cached link came from the same release.
+ */
+async function removeCancelledTorrent(jobId, torrentId, candidate, rdApiKey) {
+  if (!torrentId) {
+    return;
+  }
+
+  const otherJob = downloadJobManager.findJobByTorrent(torrentId);
+  if (otherJob) {
+    logger.info(`Job ${jobId}: keeping RD torrent ${torrentId}, job ${otherJob.jobId} still uses it`);
+    return;
+  }
+
+  const infoHash = badSourceService.getInfoHash(candidate.magnetUrl);
+  if (infoHash && rdCacheService.hasRelease(infoHash)) {
+    logger.info(`Job ${jobId}: keeping RD torrent ${torrentId}, a cached link uses the same release`);
+    return;
+  }
+
+  try {
+    await deleteTorrent(torrentId, rdApiKey);
+    logger.info(`Job ${jobId}: deleted RD torrent ${torrentId} of cancelled download`);
+  } catch (error) {
+    logger.warn(`Job ${jobId}: failed to delete RD torrent ${torrentId}: ${error.message}`);
+  }
+}
+
+/**
+ * Try one candidate; records it as rejected and returns null if it fails
+ */
+async function tryCandidate(jobId, candidate, rdApiKey, contentInfo, torrentId = null, signal = null) {
+  const job = downloadJobManager.getJob(jobId);
+  const attempt = (job?.rejectedCandidates?.length || 0) + 1;
+
+  downloadJobManager.updateJob(jobId, {
+    status: 'searching',
+    progress: 0,
+    message: `Trying Source #${attempt} ${candidate.quality}`,
+    source: candidate.title,
+    quality: candidate.quality,
+    // Remember the current source so a restart can pick up from here
+    magnetUrl: candidate.magnetUrl || null,
+    rdTorrentId: torrentId
+  });
+
+  try {
+    return await downloadCandidate(jobId, candidate, rdApiKey, contentInfo, torrentId, signal);
+  } catch (error) {
+    if (error.code === 'ABORTED') {
+      await removeCancelledTorrent(jobId, error.torrentId, candidate, rdApiKey);
+      throw error;
+    }
+
+    if (isFatalRdError(error)) {
+      throw error;
+    }
+
+    logger.warn(`Job ${jobId}: Source #${attempt} rejected (${candidate.title}): ${error.message}`);
+    downloadJobManager.rejectCandidate(jobId, { ...candidate, rank: attempt }, error.message);
+    return null;
+  }
+}
+
+/**
+ * Attach a job to another job already downloading the same title
+ *
+ * The follower keeps its own jobId (and user) but mirrors the other job's
+ * progress until it completes or fails. If the followed job is cancelled,
+ * the follower carries on with the download itself.
+ */
+function followJob(jobId, primaryJobId) {
+  const stop = () => {
+    downloadJobManager.off(`job:${primaryJobId}`, mirror);
+    downloadJobManager.off(`deleted:${primaryJobId}`, takeOver);
+    downloadJobManager.off(`deleted:${jobId}`, stop);
+  };
+
+  function mirror(primary) {
+    const fields = Object.fromEntries(FOLLOWED_FIELDS.map(field => [field, primary[field]]));
+    downloadJobManager.updateJob(jobId, fields);
+
+    if (primary.status !== 'completed' && primary.status !== 'error') {
+      return;
+    }
+
+    stop();
+    downloadJobManager.updateJob(jobId, { followsJobId: null });
+
+    const job = downloadJobManager.getJob(jobId);
+    if (primary.status === 'completed' && job && !job.isPrefetch) {
+      try {
+        playbackHistoryService.trackPlayback(job.contentInfo, job.userInfo, primary.streamSource, primary.streamUrl, primary.fileName);
+      } catch (err) {
+        logger.warn('Failed to track download playback:', err.message);
+      }
+    }
+  }
+
+  function takeOver() {
+    stop();
+
+    const job = downloadJobManager.getJob(jobId);
+    if (!job) {
+      return;
+    }
+
+    logger.info(`Job ${primaryJobId} was cancelled, job ${jobId} takes over the download`);
+    downloadJobManager.updateJob(jobId, { followsJobId: null });
+    queueRdDownload(jobId, { ...job.contentInfo, userId: job.userInfo.userId }, job.isPrefetch ? 'prefetch' : 'interactive');
+  }
+
+  downloadJobManager.updateJob(jobId, { followsJobId: primaryJobId });
+  downloadJobManager.on(`job:${primaryJobId}`, mirror);
+  downloadJobManager.on(`deleted:${primaryJobId}`, takeOver);
+  downloadJobManager.on(`deleted:${jobId}`, stop);
+
+  mirror(downloadJobManager.getJob(primaryJobId));
+}
+
+/**
+ * Background RD download processor with progressive updates
+ *
+ * Works down a ranked list of candidates until one produces a stream link,
+ * recording every rejected source on the job. Safe to call again for a job
+ * that was interrupted by a restart: the source in progress is resumed
+ * (reusing its RD torrent ID) before falling back to the remaining candidates.
+ */
+async function processRdDownload(jobId, contentInfo) {
+  const { tmdbId, title, year, type, season, episode, userId } = contentInfo;
+
+  // Someone else is already downloading this - follow that job instead of adding the torrent again
+  const activeJob = downloadJobManager.findActiveJob({ tmdbId, type, season, episode }, jobId);
+  if (activeJob) {
+    logger.info(`Job ${jobId} follows job ${activeJob.jobId} (same title already downloading)`);
+    followJob(jobId, activeJob.jobId);
+
+    // The followed job may still be waiting in the queue behind this one's priority
+    if (!downloadJobManager.getJob(jobId)?.isPrefetch) {
+      downloadQueue.prioritize(activeJob.jobId, 'interactive');
+    }
+    return;
+  }
+
+  // Look up the following episode for the progress response (doesn't hold up the download)
+  if (type === 'tv' && season && episode) {
+    getNextEpisode(tmdbId, season, episode)
+      .then(nextEpisode => downloadJobManager.updateJob(jobId, { nextEpisode }))
+      .catch(err => logger.warn(`Job ${jobId}: next episode lookup failed: ${err.message}`));
+  }
+
+  // Cancelling the job (deleteJob) stops RD polling
+  const abortController = new AbortController();
+  const { signal } = abortController;
+  const onCancelled = () => abortController.abort();
+  downloadJobManager.once(`deleted:${jobId}`, onCancelled);
+
+  try {
+    const rdApiKey = getUserRdApiKey(userId);
+    if (!rdApiKey) {
+      throw new Error('Real-Debrid API key not configured for this user');
+    }
+
+    const existingJob = downloadJobManager.getJob(jobId);
+    let result = null;
+
+    if (existingJob?.magnetUrl) {
+      logger.info(`Resuming download job ${jobId} (RD torrent: ${existingJob.rdTorrentId || 'not added yet'})`);
+
+      result = await tryCandidate(jobId, {
+        kind: 'torrent',
+        title: existingJob.source,
+        magnetUrl: existingJob.magnetUrl,
+        infoHash: null,
+        quality: existingJob.quality || getQualityLabel(existingJob.source)
+      }, rdApiKey, contentInfo, existingJob.rdTorrentId, signal);
+    }
+
+    if (!result) {
+      downloadJobManager.updateJob(jobId, {
+        status: 'searching',
+        progress: 0,
+        message: 'Finding sources...'
+      });
+
+      const { candidates: ranked } = await resolveContent(contentInfo, {
+        rdApiKey,
+        maxBitrateMbps: bandwidthService.getMaxBitrateMbps(userId),
+        profile: qualityProfileService.getForUser(userId)
+      });
+
+      // Skip sources already tried by this job and releases reported as bad
+      const exclusions = badSourceService.getExclusions(contentInfo);
+      const usable = ranked
+        .filter(c => !isRejected(downloadJobManager.getJob(jobId), c))
+        .filter(c => !badSourceService.isExcluded(exclusions, c));
+
+      // Only the best few torrents are tried; Zurg files are already in the account
+      const torrents = usable.filter(c => c.kind === 'torrent').slice(0, MAX_PROWLARR_CANDIDATES);
+      const candidates = usable.filter(c => c.kind === 'zurg' || torrents.includes(c));
+
+      if (candidates.length === 0) {
+        throw new Error('No suitable sources found');
+      }
+
+      logger.info(`Job ${jobId}: ${candidates.length} candidate source(s) for ${title}, best: ${candidates[0].title} [${candidates[0].reasons.join(', ')}]`);
+
+      for (const candidate of candidates) {
+        // Job was cancelled while an earlier source was being tried
+        if (signal.aborted) {
+          return;
+        }
+
+        result = await tryCandidate(jobId, candidate, rdApiKey, contentInfo, null, signal);
+        if (result) {
+          break;
+        }
+      }
+    }
+
+    if (!result) {
+      const rejectedCount = downloadJobManager.getJob(jobId)?.rejectedCandidates?.length || 0;
+      throw new Error(`All ${rejectedCount} sources failed`);
+    }
+
+    logger.info(`[RD Download] Got unrestricted link (full): ${result.download}`);
+
+    // Cache the result for future users
+    const sourceJob = downloadJobManager.getJob(jobId);
+    await rdCacheService.cacheLink({
+      tmdbId,
+      title,
+      year,
+      type,
+      season,
+      episode,
+      streamUrl: result.download,
+      fileName: result.filename,
+      releaseTitle: sourceJob?.source,
+      releaseHash: badSourceService.getInfoHash(sourceJob?.magnetUrl),
+      fileSize: result.filesize || null
+    });
+
+    // FINAL: Only NOW set status to 'completed' with the verified stream URL
+    // The client will ONLY start playback when it sees status=completed AND streamUrl exists
+    downloadJobManager.updateJob(jobId, {
+      status: 'completed',
+      progress: 100,
+      message: 'Ready to play!',
+      streamUrl: result.download,
+      streamSource: result.source,
+      fileName: result.filename,
+      fileSize: result.filesize || result.bytes || null
+    });
+
+    // Skip markers and embedded tracks follow on a later progress update (non-blocking)
+    findZurgFile(contentInfo, result.filename)
+      .then(async filePath => {
+        if (!filePath) return;
+
+        const [skipMarkers, embeddedTracks] = await Promise.all([
+          skipMarkerService.getSkipMarkers(filePath),
+          embeddedTrackService.getTracks(filePath)
+        ]);
+        downloadJobManager.updateJob(jobId, { skipMarkers, embeddedTracks });
+      })
+      .catch(err => logger.warn(`Job ${jobId}: file info lookup failed: ${err.message}`));
+
+    // Also track as playback for monitoring dashboard (non-blocking).
+    // Prefetched episodes are tracked when they're promoted instead.
+    try {
+      const job = downloadJobManager.getJob(jobId);
+      if (job && job.userInfo && !job.isPrefetch) {
+        playbackHistoryService.trackPlayback(
+          contentInfo,
+          job.userInfo,
+          result.source,
+          result.download,
+          result.filename
+        );
+      }
+    } catch (err) {
+      logger.warn('Failed to track download playback:', err.message);
+    }
+
+    logger.info(`Download job ${jobId} completed successfully, stream URL ready`);
+  } catch (error) {
+    if (error.code === 'ABORTED') {
+      logger.info(`Job ${jobId} was cancelled, stopped the RD download`);
+      return;
+    }
+
+    logger.error(`Job ${jobId} failed:`, {
+      message: error.message,
+      code: error.code,
+      stack: error.stack?.split('\n').slice(0, 3)
+    });
+
+    downloadJobManager.updateJob(jobId, {
+      status: 'error',
+      error: error.message,
+      message: `Error: ${error.message}`
+    });
+  } finally {
+    downloadJobManager.off(`deleted:${jobId}`, onCancelled);
+  }
+}
+
+/**
+ * Queue an RD download (see download-queue for the concurrency limits)
+ *
+ * @param {string} jobId
+ * @param {Object} contentInfo - As for processRdDownload
+ * @param {'interactive'|'prefetch'|'background'} [priority]
+ */
+function queueRdDownload(jobId, contentInfo, priority = 'interactive') {
+  downloadQueue.enqueue(jobId, contentInfo.userId, priority, () => processRdDownload(jobId, contentInfo));
+}
+
+/**
+ * Resume jobs that were still searching/downloading when the server stopped
+ */
+function resumeUnfinishedJobs() {
+  const jobs = downloadJobManager.getUnfinishedJobs();
+
+  if (jobs.length === 0) {
+    return 0;
+  }
+
+  logger.info(`Resuming ${jobs.length} unfinished download job(s)`);
+
+  // Prefetches stay below real background work, as when they were first queued
+  for (const job of jobs) {
+    queueRdDownload(job.jobId, {
+      ...job.contentInfo,
+      userId: job.userInfo.userId
+    }, job.isPrefetch ? 'prefetch' : 'background');
+  }
+
+  return jobs.length;
+}
+
+module.exports = {
+  processRdDownload,
+  queueRdDownload,
+  resumeUnfinishedJobs
+};
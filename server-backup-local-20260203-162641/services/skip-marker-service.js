@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const { db } = require('../db/init');
+const logger = require('../utils/logger');
+const { readMatroskaInfo } = require('./matroska-reader');
+
+// Chapter names, checked in this order ("Opening Credits" is an intro, not credits)
+const CHAPTER_PATTERNS = [
+  { type: 'postCredits', pattern: /\b(post[- ]?credits?|mid[- ]?credits?|after[- ]credits|stinger)\b/i },
+  { type: 'preview', pattern: /\b(preview|next episode|next time)\b/i },
+  { type: 'recap', pattern: /\b(recap|previously|last time|story so far)\b/i },
+  { type: 'intro', pattern: /\b(intro|opening|op|title sequence|main titles?|theme song)\b/i },
+  { type: 'credits', pattern: /\b(credits|ending|ed|outro|end titles?|closing)\b/i }
+];
+
+// Names that say nothing about the content ("Chapter 01", "03", "")
+const GENERIC_CHAPTER_NAME = /^\s*(chapter|chap|ch)?\s*\d*\s*$/i;
+
+// Intro/recap must start in the first part of the file, credits in the last part
+const START_WINDOW = 0.3;
+const END_WINDOW = 0.7;
+
+// Heuristic limits (seconds) for files with generic chapter names
+const HEURISTIC_INTRO = { maxStart: 600, minLength: 30, maxLength: 120 };
+const HEURISTIC_CREDITS = { minLength: 30, maxLength: 600 };
+
+// Shorter chapters after the credits don't count as post-credits content
+const MIN_POST_CREDITS_LENGTH = 5;
+
+/**
+ * Intro/recap/credits skip markers read from Matroska chapters
+ *
+ * Results (including "no markers") are cached per file in skip_markers,
+ * keyed by path and size.
+ */
+class SkipMarkerService {
+  constructor() {
+    // filePath -> Promise, so concurrent requests read a file once
+    this.pending = new Map();
+  }
+
+  /**
+   * Skip markers for a file on the Zurg mount
+   *
+   * @param {string} filePath
+   * @returns {Promise<{intro?: Object, recap?: Object, credits?: Object}|null>}
+   */
+  async getSkipMarkers(filePath) {
+    if (!filePath || path.extname(filePath).toLowerCase() !== '.mkv') {
+      return null;
+    }
+
+    if (!this.pending.has(filePath)) {
+      this.pending.set(filePath, this.loadMarkers(filePath).finally(() => this.pending.delete(filePath)));
+    }
+
+    return this.pending.get(filePath);
+  }
+
+  async loadMarkers(filePath) {
+    try {
+      const { size } = await fs.promises.stat(filePath);
+
+      const cached = db.prepare('SELECT file_size, markers FROM skip_markers WHERE file_path = ?').get(filePath);
+      if (cached && cached.file_size === size) {
+        return cached.markers ? JSON.parse(cached.markers) : null;
+      }
+
+      const { duration, chapters } = await readMatroskaInfo(filePath);
+      const markers = this.classifyChapters(chapters, duration);
+
+      db.prepare(`
+        INSERT INTO skip_markers (file_path, file_size, markers, created_at)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(file_path) DO UPDATE SET
+          file_size = excluded.file_size, markers = excluded.markers, created_at = excluded.created_at
+      `).run(filePath, size, markers ? JSON.stringify(markers) : null, Date.now());
+
+      logger.info(`[Skip Markers] ${path.basename(filePath)}: ${chapters.length} chapters, markers: ${markers ? Object.keys(markers).join(', ') : 'none'}`);
+      return markers;
+    } catch (error) {
+      // Not cached - the mount may just be slow/unavailable right now
+      logger.warn(`[Skip Markers] Could not read chapters of ${filePath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Turn a chapter list into intro/recap/credits markers
+   *
+   * Chapters are matched by name first ("Intro", "Opening", "Previously",
+   * "End Credits"); files whose chapters are all generic ("Chapter 1") fall
+   * back to position/length heuristics.
+   *
+   * @param {Array<{title: string|null, start: number, end: number|null}>} chapters
+   * @param {number|null} duration - File duration in seconds
+   * @returns {Object|null} { intro, recap, credits } (missing keys = not found), or null
+   */
+  classifyChapters(chapters, duration) {
+    if (chapters.length < 2) {
+      return null;
+    }
+
+    const totalDuration = duration || chapters[chapters.length - 1].end || null;
+
+    // Fill in missing end times from the next chapter (or the end of the file)
+    const segments = chapters.map((chapter, i) => ({
+      ...chapter,
+      end: chapter.end ?? chapters[i + 1]?.start ?? totalDuration
+    })).filter(segment => segment.end !== null && segment.end > segment.start);
+
+    const named = segments.map(segment => ({
+      ...segment,
+      type: CHAPTER_PATTERNS.find(({ pattern }) => pattern.test(segment.title || ''))?.type || null
+    }));
+
+    const isGeneric = named.every(segment => !segment.type && GENERIC_CHAPTER_NAME.test(segment.title || ''));
+    const markers = isGeneric
+      ? this.classifyByPosition(named, totalDuration)
+      : this.classifyByName(named, totalDuration);
+
+    return Object.keys(markers).length > 0 ? markers : null;
+  }
+
+  classifyByName(segments, totalDuration) {
+    const markers = {};
+    const inStart = (segment) => !totalDuration || segment.start <= totalDuration * START_WINDOW;
+    const inEnd = (segment) => !totalDuration || segment.start >= totalDuration * END_WINDOW;
+
+    const recap = segments.find(segment => segment.type === 'recap' && inStart(segment));
+    const intro = segments.find(segment => segment.type === 'intro' && inStart(segment));
+    const creditsIndex = segments.findIndex(segment => segment.type === 'credits' && inEnd(segment));
+
+    if (recap) {
+      markers.recap = toMarker(recap, 'chapters');
+    }
+    if (intro) {
+      markers.intro = toMarker(intro, 'chapters');
+    }
+    if (creditsIndex !== -1) {
+      markers.credits = {
+        ...toMarker(segments[creditsIndex], 'chapters'),
+        hasPostCredits: hasContentAfter(segments, creditsIndex)
+      };
+    }
+
+    return markers;
+  }
+
+  classifyByPosition(segments, totalDuration) {
+    const markers = {};
+    const length = (segment) => segment.end - segment.start;
+
+    // An opening is a short chapter near the start, but not the first one (cold open)
+    const intro = segments.slice(1, 4).find(segment =>
+      segment.start <= HEURISTIC_INTRO.maxStart &&
+      length(segment) >= HEURISTIC_INTRO.minLength &&
+      length(segment) <= HEURISTIC_INTRO.maxLength
+    );
+
+    if (intro) {
+      markers.intro = toMarker(intro, 'chapters-heuristic');
+    }
+
+    // Credits are the last sizeable chapter, possibly followed by a short preview/stinger
+    if (totalDuration) {
+      for (let i = segments.length - 1; i >= Math.max(1, segments.length - 2); i--) {
+        const segment = segments[i];
+        if (segment.start >= totalDuration * END_WINDOW &&
+            length(segment) >= HEURISTIC_CREDITS.minLength &&
+            length(segment) <= HEURISTIC_CREDITS.maxLength) {
+          markers.credits = {
+            ...toMarker(segment, 'chapters-heuristic'),
+            hasPostCredits: hasContentAfter(segments, i)
+          };
+          break;
+        }
+      }
+    }
+
+    return markers;
+  }
+}
+
+function toMarker(segment, source) {
+  return {
+    start: Math.round(segment.start * 1000) / 1000,
+    end: Math.round(segment.end * 1000) / 1000,
+    source,
+    label: segment.title || null
+  };
+}
+
+/**
+ * Whether real content (not a next-episode preview) follows segments[index]
+ */
+function hasContentAfter(segments, index) {
+  return segments.slice(index + 1).some(segment =>
+    segment.type !== 'preview' && segment.end - segment.start >= MIN_POST_CREDITS_LENGTH
+  );
+}
+
+module.exports = new SkipMarkerService();
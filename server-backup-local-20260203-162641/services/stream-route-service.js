@@ -0,0 +1,114 @@
+const net = require('net');
+const path = require('path');
+const logger = require('../utils/logger');
+const streamTokenService = require('./stream-token-service');
+
+// Home network ranges unless configured otherwise. Loopback and the Docker
+// ranges (172.16.0.0/12) are left out: behind a proxy that isn't trusted
+// (TRUST_PROXY) every request comes from them, and remote clients would get
+// the internal Zurg URL.
+const DEFAULT_LAN_RANGES = '10.0.0.0/8,192.168.0.0/16';
+
+let lanRanges = null;
+
+/**
+ * Trusted LAN ranges from TRUSTED_LAN_RANGES (comma-separated CIDRs)
+ */
+function getLanRanges() {
+  if (lanRanges) {
+    return lanRanges;
+  }
+
+  lanRanges = new net.BlockList();
+
+  for (const cidr of (process.env.TRUSTED_LAN_RANGES || DEFAULT_LAN_RANGES).split(',')) {
+    const [address, prefix] = cidr.trim().split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+    if (!net.isIP(address)) {
+      logger.warn(`[Stream Route] Ignoring invalid LAN range: ${cidr}`);
+      continue;
+    }
+
+    lanRanges.addSubnet(address, prefix ? parseInt(prefix, 10) : (type === 'ipv6' ? 128 : 32), type);
+  }
+
+  return lanRanges;
+}
+
+/**
+ * Whether a client IP is on a trusted LAN range
+ */
+function isLanClient(ip) {
+  if (!ip) {
+    return false;
+  }
+
+  // IPv4 clients on a dual-stack socket show up as ::ffff:a.b.c.d
+  const address = ip.replace(/^::ffff:/, '');
+  const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+  return net.isIP(address) !== 0 && getLanRanges().check(address, type);
+}
+
+/**
+ * Client details used to pick a stream route
+ *
+ * baseUrl is PUBLIC_BASE_URL when set - behind nginx the request's own host
+ * loses the path prefix (e.g. https://duckflix.tv/lite_service).
+ *
+ * @param {Object} req - Express request
+ * @returns {{ip: string, baseUrl: string}}
+ */
+function getStreamClient(req) {
+  return {
+    ip: req.ip,
+    baseUrl: process.env.PUBLIC_BASE_URL
+      ? process.env.PUBLIC_BASE_URL.replace(/\/+$/, '')
+      : `${req.protocol}://${req.get('host')}`
+  };
+}
+
+/**
+ * URL for playing a file on the Zurg mount
+ *
+ * LAN clients get the internal Zurg HTTP base (ZURG_HTTP_BASE_URL), others
+ * the external one (ZURG_EXTERNAL_BASE_URL). Without a usable base the file
+ * goes through this server's stream proxy with a signed token.
+ *
+ * @param {string} filePath - File under ZURG_MOUNT_PATH
+ * @param {number} userId - User the proxy token is issued to
+ * @param {{ip: string, baseUrl: string}} client - See getStreamClient
+ * @returns {{streamUrl: string, streamRoute: 'lan'|'wan'|'proxy'}}
+ */
+function getZurgStreamUrl(filePath, userId, client) {
+  const internalBase = process.env.ZURG_HTTP_BASE_URL;
+  const externalBase = process.env.ZURG_EXTERNAL_BASE_URL;
+  const streamRoute = isLanClient(client.ip) && internalBase ? 'lan' : (externalBase ? 'wan' : 'proxy');
+
+  if (streamRoute !== 'proxy') {
+    const base = streamRoute === 'lan' ? internalBase : externalBase;
+    const mountPath = path.resolve(process.env.ZURG_MOUNT_PATH || '/mnt/zurg');
+    const relativePath = path.relative(mountPath, filePath);
+    // URL encode path segments for ExoPlayer (preserve slashes)
+    const encodedPath = relativePath.split('/').map(s => encodeURIComponent(s)).join('/');
+
+    return {
+      streamUrl: `${base.replace(/\/+$/, '')}/${encodedPath}`,
+      streamRoute
+    };
+  }
+
+  const token = streamTokenService.createToken(userId, filePath);
+
+  return {
+    streamUrl: `${client.baseUrl}/api/vod/stream/${token}`,
+    streamRoute
+  };
+}
+
+module.exports = {
+  isLanClient,
+  getStreamClient,
+  getZurgStreamUrl
+};
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { db } = require('../db/init');
+
+// Long enough for a movie with a few pauses
+const TOKEN_TTL = process.env.STREAM_TOKEN_TTL || '12h';
+
+const TOKEN_AUDIENCE = 'stream';
+
+/**
+ * Signed, expiring tokens for the stream proxy (GET /api/vod/stream/:token)
+ *
+ * A token names one file under ZURG_MOUNT_PATH (stored relative to the mount)
+ * and the user it was issued to. Tokens are signed with a key derived from
+ * JWT_SECRET, so they can't be used as login tokens and vice versa.
+ */
+class StreamTokenService {
+  getMountPath() {
+    return path.resolve(process.env.ZURG_MOUNT_PATH || '/mnt/zurg');
+  }
+
+  getSigningKey() {
+    return crypto.createHmac('sha256', process.env.JWT_SECRET).update('stream-token').digest();
+  }
+
+  /**
+   * Absolute path of a file under the Zurg mount, or null if it points outside of it
+   *
+   * @param {string} filePath - Absolute, or relative to the mount
+   */
+  resolveMountPath(filePath) {
+    if (typeof filePath !== 'string' || !filePath || filePath.includes('\0')) {
+      return null;
+    }
+
+    const mountPath = this.getMountPath();
+    const resolved = path.resolve(mountPath, filePath);
+
+    return resolved.startsWith(mountPath + path.sep) ? resolved : null;
+  }
+
+  /**
+   * Issue a stream token
+   *
+   * @param {number} userId
+   * @param {string} filePath - File under the Zurg mount
+   * @returns {string}
+   * @throws {Error} If the file is outside the Zurg mount
+   */
+  createToken(userId, filePath) {
+    const resolved = this.resolveMountPath(filePath);
+    if (!resolved) {
+      throw new Error('File is outside the Zurg mount');
+    }
+
+    return jwt.sign(
+      { sub: userId, path: path.relative(this.getMountPath(), resolved) },
+      this.getSigningKey(),
+      { expiresIn: TOKEN_TTL, audience: TOKEN_AUDIENCE, algorithm: 'HS256' }
+    );
+  }
+
+  /**
+   * Check a stream token
+   *
+   * @param {string} token
+   * @returns {{userId: number, filePath: string}} filePath is absolute
+   * @throws {Error} If the token is invalid or expired, the path leaves the mount or the user is gone
+   */
+  verifyToken(token) {
+    const decoded = jwt.verify(token, this.getSigningKey(), {
+      algorithms: ['HS256'],
+      audience: TOKEN_AUDIENCE
+    });
+
+    const filePath = this.resolveMountPath(decoded.path);
+    if (!filePath) {
+      throw new Error('File is outside the Zurg mount');
+    }
+
+    const user = db.prepare('SELECT id FROM users WHERE id = ?').get(decoded.sub);
+    if (!user) {
+      throw new Error(`User ${decoded.sub} no longer exists`);
+    }
+
+    return { userId: user.id, filePath };
+  }
+}
+
+module.exports = new StreamTokenService();
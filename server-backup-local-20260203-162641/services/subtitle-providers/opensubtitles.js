@@ -0,0 +1,100 @@
+const axios = require('axios');
+const logger = require('../../utils/logger');
+
+const API_BASE_URL = 'https://api.opensubtitles.com/api/v1';
+const USER_AGENT = 'DuckFlixLite v1.0';
+
+// Login tokens last 24h - renew a little earlier
+const TOKEN_TTL = 23 * 60 * 60 * 1000;
+
+let token = null;
+let tokenExpiresAt = 0;
+
+function apiHeaders(extra = {}) {
+  return {
+    'Api-Key': process.env.OPENSUBTITLES_API_KEY,
+    'User-Agent': USER_AGENT,
+    'Content-Type': 'application/json',
+    Accept: 'application/json',
+    ...extra
+  };
+}
+
+/**
+ * Login token (optional - without an account downloads use the anonymous quota)
+ */
+async function getToken() {
+  const username = process.env.OPENSUBTITLES_USERNAME;
+  const password = process.env.OPENSUBTITLES_PASSWORD;
+
+  if (!username || !password) {
+    return null;
+  }
+
+  if (token && Date.now() < tokenExpiresAt) {
+    return token;
+  }
+
+  try {
+    const response = await axios.post(`${API_BASE_URL}/login`, { username, password }, {
+      headers: apiHeaders(),
+      timeout: 10000
+    });
+
+    token = response.data.token;
+    tokenExpiresAt = Date.now() + TOKEN_TTL;
+    return token;
+  } catch (error) {
+    logger.warn(`[OpenSubtitles] Login failed, downloading anonymously: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * OpenSubtitles.com (REST API v1) subtitle provider
+ *
+ * Searching is free; every download counts against the daily quota.
+ */
+module.exports = {
+  name: 'opensubtitles',
+
+  isConfigured() {
+    return !!process.env.OPENSUBTITLES_API_KEY;
+  },
+
+  async search({ tmdbId, type, season, episode, languageCode }) {
+    const params = type === 'tv'
+      ? { parent_tmdb_id: tmdbId, season_number: season, episode_number: episode }
+      : { tmdb_id: tmdbId };
+
+    const response = await axios.get(`${API_BASE_URL}/subtitles`, {
+      params: { ...params, languages: languageCode, order_by: 'download_count', order_direction: 'desc' },
+      headers: apiHeaders(),
+      timeout: 10000
+    });
+
+    return (response.data?.data || [])
+      .filter(result => result.attributes?.files?.length > 0)
+      .map(({ attributes }) => ({
+        id: attributes.files[0].file_id,
+        languageCode: attributes.language,
+        release: attributes.release || null,
+        hearingImpaired: !!attributes.hearing_impaired,
+        downloadCount: attributes.download_count || 0
+      }));
+  },
+
+  async download(result) {
+    const authToken = await getToken();
+
+    const response = await axios.post(`${API_BASE_URL}/download`, { file_id: result.id, sub_format: 'srt' }, {
+      headers: apiHeaders(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+      timeout: 10000
+    });
+
+    const file = await axios.get(response.data.link, { responseType: 'text', timeout: 15000 });
+
+    logger.info(`[OpenSubtitles] Downloaded file ${result.id} (${response.data.remaining} downloads left today)`);
+    return file.data;
+  }
+};
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { srtToVtt } = require('../utils/subtitle-format');
+
+const CACHE_DIR = process.env.SUBTITLE_CACHE_DIR || path.join(__dirname, '../cache/subtitles');
+
+// Languages fetched when the client doesn't ask for a specific one
+const DEFAULT_LANGUAGES = (process.env.SUBTITLE_LANGUAGES || 'en')
+  .split(',')
+  .map(code => code.trim())
+  .filter(Boolean);
+
+const CACHE_KEY_PATTERN = /^(movie-\d+|tv-\d+-s\d+e\d+)$/;
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,4})?$/i;
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+/**
+ * A subtitle provider (see subtitle-providers/)
+ *
+ * @typedef {Object} SubtitleProvider
+ * @property {string} name
+ * @property {function(): boolean} isConfigured
+ * @property {function(Object): Promise<Array<{id: number, languageCode: string, release: string|null,
+ *   hearingImpaired: boolean, downloadCount: number}>>} search
+ *   Called with { tmdbId, type, season, episode, languageCode }, best results first
+ * @property {function(Object): Promise<string>} download - Subtitle text (SRT or WebVTT) for a search result
+ */
+
+/** @type {SubtitleProvider[]} Tried in order */
+const PROVIDERS = [
+  require('./subtitle-providers/opensubtitles')
+];
+
+/**
+ * External subtitles, fetched from providers and cached on disk as WebVTT
+ *
+ * One subtitle is kept per title/episode and language:
+ *   <cache dir>/<movie-603 | tv-1399-s1e2>/<language>.vtt (+ <language>.json metadata)
+ */
+class SubtitleService {
+  constructor() {
+    // "<key>/<language>" -> Promise, so concurrent requests download once
+    this.pending = new Map();
+  }
+
+  getDefaultLanguages() {
+    return DEFAULT_LANGUAGES;
+  }
+
+  getCacheKey({ tmdbId, type, season, episode }) {
+    return type === 'tv'
+      ? `tv-${tmdbId}-s${season}e${episode}`
+      : `movie-${tmdbId}`;
+  }
+
+  /**
+   * Subtitles for each language, from the cache or the providers
+   *
+   * @param {Object} contentInfo - { tmdbId, type, season, episode }
+   * @param {string[]} languageCodes
+   * @returns {Promise<Object[]>} Subtitle entries (languages without a subtitle are left out)
+   */
+  async search(contentInfo, languageCodes) {
+    const results = await Promise.all(
+      languageCodes.map(languageCode => this.getSubtitle(contentInfo, languageCode))
+    );
+
+    return results.filter(Boolean);
+  }
+
+  /**
+   * Subtitle for one language
+   *
+   * @param {Object} contentInfo - { tmdbId, type, season, episode }
+   * @param {string} languageCode - ISO 639-1 code, e.g. "en"
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Ignore the cache and download again (uses provider quota)
+   * @returns {Promise<Object|null>} { id, language, languageCode, label, source, key }
+   */
+  async getSubtitle(contentInfo, languageCode, { force = false } = {}) {
+    if (!LANGUAGE_CODE_PATTERN.test(languageCode)) {
+      return null;
+    }
+
+    const key = this.getCacheKey(contentInfo);
+    if (!CACHE_KEY_PATTERN.test(key)) {
+      return null;
+    }
+
+    if (!force) {
+      const cached = this.readMetadata(key, languageCode);
+      if (cached) {
+        return cached;
+      }
+    }
+
+    const pendingKey = `${key}/${languageCode}`;
+    if (!this.pending.has(pendingKey)) {
+      this.pending.set(pendingKey, this.download(contentInfo, key, languageCode)
+        .finally(() => this.pending.delete(pendingKey)));
+    }
+
+    return this.pending.get(pendingKey);
+  }
+
+  /**
+   * Every cached subtitle for a title/episode (no provider requests)
+   */
+  getCached(contentInfo) {
+    const key = this.getCacheKey(contentInfo);
+    if (!CACHE_KEY_PATTERN.test(key)) {
+      return [];
+    }
+
+    const dir = path.join(CACHE_DIR, key);
+
+    try {
+      return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => this.readMetadata(path.basename(dir), path.basename(file, '.json')))
+        .filter(Boolean);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Path of a cached WebVTT file, or null (also for invalid keys/languages)
+   */
+  getFilePath(key, languageCode) {
+    if (!CACHE_KEY_PATTERN.test(key) || !LANGUAGE_CODE_PATTERN.test(languageCode)) {
+      return null;
+    }
+
+    const filePath = path.join(CACHE_DIR, key, `${languageCode}.vtt`);
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+
+  readMetadata(key, languageCode) {
+    try {
+      const metadataPath = path.join(CACHE_DIR, key, `${languageCode}.json`);
+      if (!this.getFilePath(key, languageCode)) {
+        return null;
+      }
+      return JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async download(contentInfo, key, languageCode) {
+    const providers = PROVIDERS.filter(provider => provider.isConfigured());
+
+    if (providers.length === 0) {
+      logger.warn('[Subtitles] No subtitle provider configured');
+      return null;
+    }
+
+    for (const provider of providers) {
+      try {
+        const results = await provider.search({ ...contentInfo, languageCode });
+        const best = results.find(result => !result.hearingImpaired) || results[0];
+
+        if (!best) {
+          logger.info(`[Subtitles] ${provider.name}: no ${languageCode} subtitles for ${key}`);
+          continue;
+        }
+
+        const text = await provider.download(best);
+        const language = languageNames.of(languageCode) || languageCode;
+        const entry = {
+          id: best.id,
+          language,
+          languageCode,
+          label: best.hearingImpaired ? `${language} (SDH)` : language,
+          source: provider.name,
+          release: best.release,
+          key
+        };
+
+        const dir = path.join(CACHE_DIR, key);
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, `${languageCode}.vtt`), srtToVtt(text));
+        fs.writeFileSync(path.join(dir, `${languageCode}.json`), JSON.stringify(entry));
+
+        logger.info(`[Subtitles] Cached ${languageCode} subtitles for ${key} from ${provider.name} (${best.release || best.id})`);
+        return entry;
+      } catch (error) {
+        logger.warn(`[Subtitles] ${provider.name} failed for ${key} (${languageCode}): ${error.message}`);
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = new SubtitleService();
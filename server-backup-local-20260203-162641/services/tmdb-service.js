@@ -0,0 +1,177 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
+
+// TMDB details rarely change - cache lookups in memory
+const CACHE_TTL = 6 * 60 * 60 * 1000; // 6 hours
+const cache = new Map();
+
+// Drop expired lookups every hour, so the cache doesn't grow with every title ever watched
+setInterval(() => {
+  const now = Date.now();
+  for (const [endpoint, entry] of cache) {
+    if (now - entry.timestamp >= CACHE_TTL) {
+      cache.delete(endpoint);
+    }
+  }
+}, 60 * 60 * 1000).unref();
+
+/**
+ * Error for a TMDB request that failed (no API key, timeout, TMDB down)
+ */
+function tmdbUnavailable(message) {
+  const error = new Error(message);
+  error.code = 'TMDB_UNAVAILABLE';
+  return error;
+}
+
+/**
+ * GET a TMDB endpoint (cached)
+ *
+ * @param {string} endpoint - Path below /3, e.g. "/movie/603"
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} code 'TMDB_UNAVAILABLE' when TMDB can't be reached
+ */
+async function tmdbGet(endpoint) {
+  const apiKey = process.env.TMDB_API_KEY;
+  if (!apiKey) {
+    logger.warn('TMDB_API_KEY not configured');
+    throw tmdbUnavailable('TMDB_API_KEY not configured');
+  }
+
+  const cached = cache.get(endpoint);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    return cached.data;
+  }
+
+  try {
+    const response = await axios.get(`${TMDB_BASE_URL}${endpoint}`, {
+      params: { api_key: apiKey, language: 'en-US' },
+      timeout: 10000
+    });
+
+    cache.set(endpoint, { data: response.data, timestamp: Date.now() });
+    return response.data;
+  } catch (error) {
+    logger.error(`TMDB request failed (${endpoint}):`, error.message);
+    throw tmdbUnavailable(`TMDB request failed: ${error.message}`);
+  }
+}
+
+/**
+ * Get the title, year and runtime (minutes) of a movie or show
+ *
+ * @param {number} tmdbId
+ * @param {string} type - 'movie' or 'tv'
+ * @returns {Promise<{title: string, year: string|null, runtime: number|null}|null>} null if TMDB is unavailable
+ */
+async function getTitleInfo(tmdbId, type) {
+  const mediaType = type === 'movie' ? 'movie' : 'tv';
+  const data = await tmdbGet(`/${mediaType}/${tmdbId}`).catch(() => null);
+
+  if (!data) {
+    return null;
+  }
+
+  const releaseDate = data.release_date || data.first_air_date;
+
+  return {
+    title: data.title || data.name,
+    year: releaseDate ? releaseDate.substring(0, 4) : null,
+    runtime: data.runtime || data.episode_run_time?.[0] || null
+  };
+}
+
+/**
+ * Whether an episode has aired (episodes without an air date count as unaired)
+ */
+function hasAired(ep) {
+  return !!ep.air_date && new Date(ep.air_date) <= new Date();
+}
+
+/**
+ * Shape a TMDB episode for API responses
+ */
+function toEpisodeResult(ep) {
+  return {
+    season: ep.season_number,
+    episode: ep.episode_number,
+    title: ep.name || null,
+    overview: ep.overview || null
+  };
+}
+
+/**
+ * Find the episode after season/episode, rolling into the next season
+ *
+ * Specials (season 0) and unaired episodes are skipped, so the latest aired
+ * episode of a running show is treated like a series finale.
+ *
+ * @returns {Promise<{season: number, episode: number, title: string|null, overview: string|null}|null>}
+ *   null when there is no next episode
+ * @throws {Error} code 'TMDB_UNAVAILABLE' - a TMDB outage isn't a series finale
+ */
+async function getNextEpisode(tmdbId, season, episode) {
+  const currentSeason = await tmdbGet(`/tv/${tmdbId}/season/${season}`);
+  const nextInSeason = (currentSeason?.episodes || [])
+    .filter(ep => ep.episode_number > episode)
+    .sort((a, b) => a.episode_number - b.episode_number)[0];
+
+  if (nextInSeason) {
+    return hasAired(nextInSeason) ? toEpisodeResult(nextInSeason) : null;
+  }
+
+  const show = await tmdbGet(`/tv/${tmdbId}`);
+  const nextSeasonNumber = (show?.seasons || [])
+    .map(s => s.season_number)
+    .filter(n => n > season && n > 0)
+    .sort((a, b) => a - b)[0];
+
+  if (nextSeasonNumber === undefined) {
+    return null;
+  }
+
+  const nextSeason = await tmdbGet(`/tv/${tmdbId}/season/${nextSeasonNumber}`);
+  const firstEpisode = [...(nextSeason?.episodes || [])]
+    .sort((a, b) => a.episode_number - b.episode_number)[0];
+
+  return firstEpisode && hasAired(firstEpisode) ? toEpisodeResult(firstEpisode) : null;
+}
+
+/**
+ * Pick a random aired episode of a show (for shuffle play), other than season/episode
+ *
+ * @returns {Promise<{season: number, episode: number, title: string|null, overview: string|null}|null>}
+ * @throws {Error} code 'TMDB_UNAVAILABLE'
+ */
+async function getRandomEpisode(tmdbId, season, episode) {
+  const show = await tmdbGet(`/tv/${tmdbId}`);
+  const seasons = (show?.seasons || [])
+    .filter(s => s.season_number > 0 && s.episode_count > 0);
+
+  // Pick seasons weighted by episode count so every episode is equally likely
+  const total = seasons.reduce((sum, s) => sum + s.episode_count, 0);
+  let pick = Math.random() * total;
+  const ordered = seasons.find(s => (pick -= s.episode_count) < 0);
+  const candidates = ordered ? [ordered, ...seasons.filter(s => s !== ordered)] : [];
+
+  for (const { season_number: seasonNumber } of candidates) {
+    const data = await tmdbGet(`/tv/${tmdbId}/season/${seasonNumber}`);
+    const episodes = (data?.episodes || [])
+      .filter(ep => hasAired(ep) && !(seasonNumber === season && ep.episode_number === episode));
+
+    if (episodes.length > 0) {
+      return toEpisodeResult(episodes[Math.floor(Math.random() * episodes.length)]);
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  tmdbGet,
+  getTitleInfo,
+  getNextEpisode,
+  getRandomEpisode
+};
@@ -1,5 +1,40 @@
 const { findInZurgMount } = require('@duckflix/zurg-client');
+const { isUnwatchable } = require('@duckflix/release-parser');
 const logger = require('../utils/logger');
+const qualityProfileService = require('./quality-profile-service');
+
+/**
+ * Re-pick the match and fallback of a Zurg result under a quality profile
+ *
+ * Files the profile rules out are dropped. The match is the first file that
+ * meets the profile's MB/min minimum, preferring the profile's languages and
+ * then the biggest file (the smallest with preferSmaller); without one, the
+ * best remaining file is the fallback.
+ */
+function applyProfile(result, profile, type) {
+  const allowed = (result.matches || []).filter(file => {
+    const reason = qualityProfileService.checkRelease(profile, file.release, { sizeBytes: file.fileSize, type });
+    if (reason) {
+      logger.info(`Zurg: skipping ${file.fileName} (${reason})`);
+    }
+    return !reason;
+  });
+
+  const languageRank = file => qualityProfileService.getLanguageRank(profile, file.release);
+  const meetsProfile = file => file.mbPerMinute >= profile.minMbPerMinute && !isUnwatchable(file.release);
+
+  const matches = allowed.sort((a, b) =>
+    isUnwatchable(a.release) - isUnwatchable(b.release) ||
+    languageRank(a) - languageRank(b) ||
+    b.mbPerMinute - a.mbPerMinute
+  );
+  const qualified = matches.filter(meetsProfile);
+  const match = profile.preferSmaller
+    ? qualified.filter(file => languageRank(file) === languageRank(qualified[0])).pop() || null
+    : qualified[0] || null;
+
+  return { match, fallback: match ? null : matches[0] || null, matches };
+}
 
 /**
  * Search Zurg mount for content
@@ -11,9 +46,10 @@ const logger = require('../utils/logger');
  * @param {number} [params.season] - Season number (for episodes)
  * @param {number} [params.episode] - Episode number (for episodes)
  * @param {number} [params.duration] - Content duration in minutes
- * @returns {Promise<Object>} Search result with match and fallback
+ * @param {Object} [params.profile] - Quality profile (see quality-profile-service) to pick the match with
+ * @returns {Promise<Object>} Search result with match, fallback and all matches
  */
-async function searchZurg({ title, year, type, season, episode, duration }) {
+async function searchZurg({ title, year, type, season, episode, duration, profile }) {
   try {
     const mountPath = process.env.ZURG_MOUNT_PATH || '/mnt/zurg';
 
@@ -23,7 +59,7 @@ async function searchZurg({ title, year, type, season, episode, duration }) {
       duration
     });
 
-    const result = await findInZurgMount({
+    let result = await findInZurgMount({
       title,
       type,
       year,
@@ -32,6 +68,10 @@ async function searchZurg({ title, year, type, season, episode, duration }) {
       episodeRuntime: duration
     });
 
+    if (profile) {
+      result = applyProfile(result, profile, type);
+    }
+
     if (result.match) {
       logger.info(`Zurg match found: ${result.match.filePath}`);
     } else if (result.fallback) {
@@ -43,10 +83,29 @@ async function searchZurg({ title, year, type, season, episode, duration }) {
     return result;
   } catch (error) {
     logger.error('Zurg search error:', error);
-    return { match: null, fallback: null, error: error.message };
+    return { match: null, fallback: null, matches: [], error: error.message };
   }
 }
 
+/**
+ * Find a specific file (e.g. a finished RD download) on the Zurg mount
+ *
+ * @param {Object} contentInfo - { title, year, type, season, episode }
+ * @param {string} fileName
+ * @returns {Promise<string|null>} Full path, or null if Zurg doesn't list it (yet)
+ */
+async function findZurgFile({ title, year, type, season, episode }, fileName) {
+  if (!fileName) {
+    return null;
+  }
+
+  const result = await searchZurg({ title, year, type, season, episode });
+  const file = [...(result.matches || []), result.match, result.fallback]
+    .find(candidate => candidate?.fileName === fileName);
+
+  return file ? file.filePath : null;
+}
+
 /**
  * Get Zurg search criteria (quality thresholds)
  */
@@ -72,6 +131,7 @@ function updateSearchCriteria(criteria) {
 
 module.exports = {
   searchZurg,
+  findZurgFile,
   getSearchCriteria,
   updateSearchCriteria
 };
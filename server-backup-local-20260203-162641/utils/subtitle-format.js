@@ -0,0 +1,84 @@
+/**
+ * Subtitle format conversion (everything is served to the player as WebVTT)
+ */
+
+/**
+ * Convert SRT text to WebVTT
+ *
+ * Content that is already WebVTT is returned unchanged (apart from line endings).
+ */
+function srtToVtt(text) {
+  const normalized = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim();
+
+  if (normalized.startsWith('WEBVTT')) {
+    return `${normalized}\n`;
+  }
+
+  // SRT timestamps use a comma before the milliseconds, WebVTT a dot
+  const body = normalized.replace(
+    /(\d{1,2}:\d{2}:\d{2}),(\d{3})\s*-->\s*(\d{1,2}:\d{2}:\d{2}),(\d{3})/g,
+    '$1.$2 --> $3.$4'
+  );
+
+  return `WEBVTT\n\n${body}\n`;
+}
+
+/**
+ * Format seconds as a WebVTT timestamp (HH:MM:SS.mmm)
+ */
+function formatVttTime(seconds) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor(totalMs / 60000) % 60;
+  const secs = Math.floor(totalMs / 1000) % 60;
+  const ms = totalMs % 1000;
+
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(ms, 3)}`;
+}
+
+/**
+ * Plain text of an ASS/SSA event as stored in Matroska
+ * ("ReadOrder,Layer,Style,Name,MarginL,MarginR,MarginV,Effect,Text")
+ */
+function assEventText(data) {
+  const fields = data.split(',');
+  const text = fields.length > 8 ? fields.slice(8).join(',') : data;
+
+  return text
+    .replace(/\{[^}]*\}/g, '') // override tags, e.g. {\i1}
+    .replace(/\\[Nn]/g, '\n')
+    .replace(/\\h/g, ' ')
+    .trim();
+}
+
+/**
+ * Build WebVTT from subtitle events of an embedded Matroska track
+ *
+ * @param {Array<{start: number, end: number, data: Buffer}>} events - times in seconds
+ * @param {string} codecId - S_TEXT/UTF8 (SRT), S_TEXT/ASS, S_TEXT/SSA or S_TEXT/WEBVTT
+ * @returns {string}
+ */
+function eventsToVtt(events, codecId) {
+  const isAss = codecId === 'S_TEXT/ASS' || codecId === 'S_TEXT/SSA';
+
+  const cues = events
+    .map(event => {
+      const raw = event.data.toString('utf8');
+      const text = (isAss ? assEventText(raw) : raw.replace(/\r\n?/g, '\n').trim())
+        // A blank line would end the cue early
+        .replace(/\n{2,}/g, '\n');
+
+      return text
+        ? `${formatVttTime(event.start)} --> ${formatVttTime(event.end)}\n${text}`
+        : null;
+    })
+    .filter(Boolean);
+
+  return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
+
+module.exports = {
+  srtToVtt,
+  eventsToVtt
+};
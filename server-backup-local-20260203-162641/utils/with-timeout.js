@@ -0,0 +1,26 @@
+/**
+ * Resolve null if promise takes longer than timeoutMs (the promise itself keeps running)
+ *
+ * @param {Promise} promise
+ * @param {number} [timeoutMs] - No limit if unset
+ */
+async function withTimeout(promise, timeoutMs) {
+  if (!timeoutMs) {
+    return promise;
+  }
+
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(null), timeoutMs);
+  });
+
+  try {
+    return await Promise.race([promise, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  withTimeout
+};
@@ -17,7 +17,8 @@ const VIDEO_EXTENSIONS = ['.mp4', '.mkv', '.avi', '.mov', '.webm', '.wmv', '.m4v
  *
  * @param {string[]} hashes - Array of torrent info hashes
  * @param {string} apiKey - Real-Debrid API key
- * @returns {Promise<Set<string>>} Set of instantly available hashes (lowercase)
+ * @returns {Promise<Set<string>|null>} Set of instantly available hashes (lowercase),
+ *   or null when the check failed (cache status unknown)
  */
 const checkInstantAvailability = async (hashes, apiKey) => {
   if (!apiKey || hashes.length === 0) return new Set();
@@ -27,7 +28,7 @@ const checkInstantAvailability = async (hashes, apiKey) => {
     const hashString = hashes.slice(0, 100).join('/');
     const response = await axios.get(
       `${RD_API_BASE}/torrents/instantAvailability/${hashString}`,
-      { headers: { 'Authorization': `Bearer ${apiKey}` } }
+      { headers: { 'Authorization': `Bearer ${apiKey}` }, timeout: 10000 }
     );
 
     const cachedHashes = new Set();
@@ -42,7 +43,7 @@ const checkInstantAvailability = async (hashes, apiKey) => {
     return cachedHashes;
   } catch (err) {
     console.warn('⚠️  RD instant availability check failed:', err.message);
-    return new Set();
+    return null;
   }
 };
 
@@ -162,7 +163,7 @@ const deleteTorrent = async (torrentId, apiKey) => {
  *
  * @param {string} link - Link to unrestrict
  * @param {string} apiKey - Real-Debrid API key
- * @returns {Promise<{download: string, filename: string}>} Download info
+ * @returns {Promise<{download: string, filename: string, filesize: number}>} Download info
  */
 const unrestrictLink = async (link, apiKey) => {
   const response = await axios.post(
@@ -178,10 +179,41 @@ const unrestrictLink = async (link, apiKey) => {
 
   return {
     download: response.data.download,
-    filename: response.data.filename
+    filename: response.data.filename,
+    filesize: response.data.filesize
   };
 };
 
+/**
+ * Throw if the download was cancelled through its abort signal
+ *
+ * The error carries the RD torrent ID (if one was added) so the caller can
+ * decide whether to remove it.
+ */
+const throwIfAborted = (signal, torrentId) => {
+  if (signal && signal.aborted) {
+    const err = new Error('Download cancelled');
+    err.code = 'ABORTED';
+    err.torrentId = torrentId;
+    throw err;
+  }
+};
+
+/**
+ * Wait between polls; returns early when the signal is aborted
+ */
+const wait = (ms, signal) => new Promise(resolve => {
+  const onAbort = () => {
+    clearTimeout(timer);
+    resolve();
+  };
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
 /**
  * Find best video file in torrent files list
  *
@@ -295,18 +327,35 @@ const findBestVideoFile = (files, season = null, episode = null) => {
  * @param {number} [season] - Season number (for TV shows)
  * @param {number} [episode] - Episode number (for TV shows)
  * @param {function} [onProgress] - Optional progress callback (progress: number, message: string)
+ * @param {Object} [options] - Additional options
+ * @param {string} [options.torrentId] - Existing RD torrent ID to resume instead of adding a new one
+ * @param {function} [options.onTorrentAdded] - Called with the RD torrent ID once the torrent is added
+ * @param {AbortSignal} [options.signal] - Stops the download between RD requests (throws code 'ABORTED').
+ *   The torrent is left on RD - the error's torrentId says which one.
  * @returns {Promise<{download: string, filename: string}>} Download info
  */
-const downloadFromRD = async (magnetOrTorrent, apiKey, season = null, episode = null, onProgress = null) => {
-  let torrentId;
+const downloadFromRD = async (magnetOrTorrent, apiKey, season = null, episode = null, onProgress = null, options = {}) => {
+  let torrentId = options.torrentId || null;
+  const resuming = !!torrentId;
+  const { signal } = options;
 
-  // Step 1: Add magnet or torrent file
-  if (onProgress) onProgress(10, 'Adding torrent to Real-Debrid...');
+  throwIfAborted(signal, torrentId);
 
-  if (typeof magnetOrTorrent === 'string' && magnetOrTorrent.startsWith('magnet:')) {
-    torrentId = await addMagnet(magnetOrTorrent, apiKey);
+  // Step 1: Add magnet or torrent file (skipped when resuming an existing torrent)
+  if (resuming) {
+    if (onProgress) onProgress(10, 'Resuming torrent on Real-Debrid...');
+    console.log(`🔁 Resuming RD torrent ${torrentId}`);
   } else {
-    torrentId = await addTorrent(magnetOrTorrent, apiKey);
+    if (onProgress) onProgress(10, 'Adding torrent to Real-Debrid...');
+
+    if (typeof magnetOrTorrent === 'string' && magnetOrTorrent.startsWith('magnet:')) {
+      torrentId = await addMagnet(magnetOrTorrent, apiKey);
+    } else {
+      torrentId = await addTorrent(magnetOrTorrent, apiKey);
+    }
+
+    if (options.onTorrentAdded) options.onTorrentAdded(torrentId);
+    throwIfAborted(signal, torrentId);
   }
 
   // Step 2: Get torrent info and select files
@@ -314,10 +363,16 @@ const downloadFromRD = async (magnetOrTorrent, apiKey, season = null, episode =
 
   const infoResponse = await getTorrentInfo(torrentId, apiKey);
   const files = infoResponse.files;
+  throwIfAborted(signal, torrentId);
 
-  const selectedFile = findBestVideoFile(files, season, episode);
+  // A resumed torrent that already has its file selected goes straight to polling
+  const needsSelection = !resuming ||
+    infoResponse.status === 'waiting_files_selection' ||
+    infoResponse.status === 'magnet_conversion';
 
-  if (!selectedFile) {
+  const selectedFile = needsSelection ? findBestVideoFile(files, season, episode) : null;
+
+  if (needsSelection && !selectedFile) {
     // Delete the torrent from RD since we can't use it
     try {
       await deleteTorrent(torrentId, apiKey);
@@ -335,8 +390,11 @@ const downloadFromRD = async (magnetOrTorrent, apiKey, season = null, episode =
     throw err;
   }
 
-  const fileId = selectedFile.originalIndex + 1;
-  await selectFiles(torrentId, [fileId], apiKey);
+  if (needsSelection) {
+    const fileId = selectedFile.originalIndex + 1;
+    await selectFiles(torrentId, [fileId], apiKey);
+    throwIfAborted(signal, torrentId);
+  }
 
   // Step 3: Wait for Real-Debrid to process (poll until ready or timeout)
   if (onProgress) onProgress(20, 'Downloading from seeders...');
@@ -348,9 +406,11 @@ const downloadFromRD = async (magnetOrTorrent, apiKey, season = null, episode =
 
   let finalInfo;
   while (Date.now() - startTime < maxWaitTime) {
-    await new Promise(resolve => setTimeout(resolve, pollInterval));
+    await wait(pollInterval, signal);
+    throwIfAborted(signal, torrentId);
 
     finalInfo = await getTorrentInfo(torrentId, apiKey);
+    throwIfAborted(signal, torrentId);
     const status = finalInfo.status;
     const progress = finalInfo.progress || 0;
 
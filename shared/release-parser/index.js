@@ -0,0 +1,262 @@
+/**
+ * Release Parser Module
+ *
+ * Turns a scene/P2P release name or file name into structured data:
+ * resolution, source, codecs, HDR, audio, languages, release group,
+ * season/episode ranges and sample/extras flags.
+ *
+ * Shared by the Zurg and Prowlarr paths so releases are ranked the same way
+ * wherever they come from.
+ */
+
+// Checked in order - the first match wins
+const RESOLUTION_PATTERNS = [
+  { pattern: /\b(2160p|4k|uhd)\b/, resolution: 2160 },
+  { pattern: /\b(1080[pi]|fhd|fullhd)\b/, resolution: 1080 },
+  { pattern: /\b720p\b|(?<![-\w])hd(?![-\w])/, resolution: 720 }, // not the HD in DTS-HD or HD-TS
+  { pattern: /\b(576p|480p|sd)\b/, resolution: 480 },
+  { pattern: /\b360p\b/, resolution: 360 }
+];
+
+const RESOLUTION_LABELS = { 2160: '4K', 1080: '1080p', 720: '720p', 480: '480p', 360: '360p' };
+
+// Checked in order - screeners before DVD so "DVDSCR" isn't read as a DVD rip
+const SOURCE_PATTERNS = [
+  { pattern: /\bremux\b/, source: 'REMUX' },
+  { pattern: /\b(cam|camrip|hdcam)\b/, source: 'CAM' },
+  { pattern: /\b(ts|hdts|telesync|pdvd)\b/, source: 'TS' },
+  { pattern: /\b(tc|hdtc|telecine)\b/, source: 'TC' },
+  { pattern: /\b(scr|screener|dvdscr|bdscr)\b/, source: 'SCR' },
+  { pattern: /\b(blu-?ray|bdrip|brrip|bd(25|50)?)\b/, source: 'BluRay' },
+  { pattern: /\bweb-?rip\b/, source: 'WEBRip' },
+  { pattern: /\b(web-?dl|web)\b/, source: 'WEB-DL' },
+  { pattern: /\b(hdtv|pdtv)\b/, source: 'HDTV' },
+  { pattern: /\b(dvdrip|dvd[59]?)\b/, source: 'DVD' }
+];
+
+// Recorded in the cinema or from promotional copies - never worth watching if anything else exists
+const LOW_QUALITY_SOURCES = ['CAM', 'TS', 'TC', 'SCR'];
+
+const VIDEO_CODEC_PATTERNS = [
+  { pattern: /\b([xh] ?265|hevc)\b/, codec: 'hevc' },
+  { pattern: /\b([xh] ?264|avc)\b/, codec: 'h264' },
+  { pattern: /\bav1\b/, codec: 'av1' },
+  { pattern: /\b(xvid|divx)\b/, codec: 'xvid' }
+];
+
+// Checked in order - the lossless and object formats carry their core codec's name too
+const AUDIO_CODEC_PATTERNS = [
+  { pattern: /\btruehd\b/, codec: 'TrueHD' },
+  { pattern: /\bdts-?x\b/, codec: 'DTS:X' },
+  { pattern: /\bdts-?hd\b/, codec: 'DTS-HD' },
+  { pattern: /\bdts\b/, codec: 'DTS' },
+  { pattern: /\b(ddp|eac3|e-ac-3)(\d\.\d)?\b|\bdd\+/, codec: 'EAC3' },
+  { pattern: /\b(dd|ac3)(\d\.\d)?\b/, codec: 'AC3' },
+  { pattern: /\baac(\d\.\d)?\b/, codec: 'AAC' },
+  { pattern: /\bflac\b/, codec: 'FLAC' },
+  { pattern: /\bopus\b/, codec: 'Opus' },
+  { pattern: /\bmp3\b/, codec: 'MP3' }
+];
+
+// Release tags -> ISO 639-1 codes
+const LANGUAGE_PATTERNS = [
+  { pattern: /\b(eng|english)\b/, language: 'en' },
+  { pattern: /\b(french|truefrench|vff|vfq|vf2?)\b/, language: 'fr' },
+  { pattern: /\b(ger|german|deutsch)\b/, language: 'de' },
+  { pattern: /\b(spa|spanish|castellano|latino|esp)\b/, language: 'es' },
+  { pattern: /\b(ita|italian)\b/, language: 'it' },
+  { pattern: /\b(por|portuguese|pt-br|dublado)\b/, language: 'pt' },
+  { pattern: /\b(rus|russian)\b/, language: 'ru' },
+  { pattern: /\b(jpn|japanese)\b/, language: 'ja' },
+  { pattern: /\b(kor|korean)\b/, language: 'ko' },
+  { pattern: /\b(chi|chinese|mandarin|cantonese)\b/, language: 'zh' },
+  { pattern: /\b(hin|hindi)\b/, language: 'hi' },
+  { pattern: /\b(dutch|nl)\b/, language: 'nl' },
+  { pattern: /\b(pol|polish|pl)\b/, language: 'pl' },
+  { pattern: /\b(swe|swedish)\b/, language: 'sv' },
+  { pattern: /\b(nordic)\b/, language: 'nordic' }
+];
+
+const SAMPLE_PATTERN = /\bsample\b/;
+const EXTRAS_PATTERN = /\b(trailer|teaser|featurette|extras|bonus|behind the scenes|deleted scenes|making of|interview)\b/;
+
+// Tokens that end a release name but aren't a group ("...WEB-DL", "...DTS-HD", "...-sample", "...HD-TS")
+const NOT_A_GROUP = /^(dl|rip|hd|ma|x|ac3|web|dts|sample|ts|tc|cam|sd|hdts)$/i;
+
+/**
+ * Lowercase a name with "_" and "." read as spaces, keeping dots between digits ("5.1")
+ */
+function normalize(name) {
+  return name
+    .replace(/_/g, ' ')
+    .replace(/\.(?!\d)|(?<!\d)\./g, ' ')
+    .toLowerCase();
+}
+
+/**
+ * Part of the name after the title (from the year, episode tag or resolution on)
+ *
+ * Language tags and extras words are only looked for here, so titles such as
+ * "Extras" or "Ita" don't trip them.
+ */
+function getTail(normalized) {
+  const marker = normalized.search(/\b((19|20)\d{2}|s\d{1,2}(e\d{1,3})?|\d{1,2}x\d{2,3}|season \d+|\d{3,4}[pi]|4k|uhd)\b/);
+  return marker > 0 ? normalized.slice(marker) : normalized;
+}
+
+function firstMatch(text, patterns, field) {
+  return patterns.find(p => p.pattern.test(text))?.[field] ?? null;
+}
+
+function range(from, to) {
+  const numbers = [];
+  for (let n = from; n <= Math.max(from, to); n++) {
+    numbers.push(n);
+  }
+  return numbers;
+}
+
+/**
+ * Season and episode numbers named in a release
+ *
+ * Handles S01E02, S01E02E03, S01E02-E04, S01E02-04, 1x02, S01-S03, "Season 2"
+ * and "Seasons 1-3". A season pack has seasons but no episodes.
+ *
+ * @returns {{seasons: number[], episodes: number[]}}
+ */
+function parseEpisodes(normalized) {
+  // The range end can't be a resolution ("S01E05-720p")
+  let match = normalized.match(/\bs(\d{1,2}) ?e(\d{1,3})((?: ?-? ?e\d{1,3})*)(?: ?- ?(\d{1,3})(?![\dpi]))?/);
+  if (match) {
+    const season = parseInt(match[1], 10);
+    const first = parseInt(match[2], 10);
+    const more = (match[3].match(/\d+/g) || []).map(n => parseInt(n, 10));
+    const last = match[4] ? parseInt(match[4], 10) : Math.max(first, ...more);
+
+    // "E01E02E03" lists episodes, "E01-E05" or "E01-05" is a range
+    const episodes = /-/.test(match[0]) ? range(first, last) : [first, ...more];
+    return { seasons: [season], episodes };
+  }
+
+  match = normalized.match(/\b(\d{1,2})x(\d{2,3})\b/);
+  if (match) {
+    return { seasons: [parseInt(match[1], 10)], episodes: [parseInt(match[2], 10)] };
+  }
+
+  match = normalized.match(/\bs(\d{1,2})(?: ?- ?s?(\d{1,2}))?\b/) ||
+    normalized.match(/\bseasons? (\d{1,2})(?: ?(?:-|to) ?(\d{1,2}))?\b/);
+  if (match) {
+    const first = parseInt(match[1], 10);
+    return { seasons: range(first, match[2] ? parseInt(match[2], 10) : first), episodes: [] };
+  }
+
+  return { seasons: [], episodes: [] };
+}
+
+/**
+ * Release group from the end ("...x264-GROUP") or, for anime, the start ("[Group] ...")
+ */
+function parseGroup(baseName) {
+  const bracketed = baseName.match(/^\[([^\]]+)\]/);
+  if (bracketed) {
+    return bracketed[1].trim();
+  }
+
+  const suffixed = baseName.match(/-([A-Za-z0-9]+)(?:\s*\[[^\]]*\])?$/);
+  if (suffixed && !NOT_A_GROUP.test(suffixed[1])) {
+    return suffixed[1];
+  }
+
+  return null;
+}
+
+/**
+ * Parse a release or file name
+ *
+ * @param {string} name - Release title or file name (a video extension is ignored)
+ * @returns {{
+ *   resolution: number, resolutionLabel: string|null,
+ *   source: string|null, lowQualitySource: boolean,
+ *   videoCodec: string|null, hdr: string[],
+ *   audioCodec: string|null, audioChannels: string|null, atmos: boolean,
+ *   languages: string[], multiLanguage: boolean,
+ *   group: string|null, seasons: number[], episodes: number[], isSeasonPack: boolean,
+ *   isSample: boolean, isExtras: boolean
+ * }} resolution is 0 when the name doesn't say
+ */
+function parseRelease(name) {
+  const baseName = String(name || '').replace(/\.(mkv|mp4|avi|mov|webm|m4v|ts)$/i, '');
+  const text = normalize(baseName);
+  const tail = getTail(text);
+
+  const resolution = firstMatch(text, RESOLUTION_PATTERNS, 'resolution') || 0;
+  const source = firstMatch(tail, SOURCE_PATTERNS, 'source');
+
+  // HDR10+ is listed instead of HDR10; a bare "HDR" tag is almost always HDR10
+  const hdr = [];
+  if (/\b(dv|dovi|dolby ?vision)\b/.test(text)) hdr.push('DV');
+  if (/\bhdr10(\+|plus)/.test(text)) hdr.push('HDR10+');
+  else if (/\bhdr(10)?\b/.test(text)) hdr.push('HDR10');
+  if (/\bhlg\b/.test(text)) hdr.push('HLG');
+
+  const audioCodec = firstMatch(tail, AUDIO_CODEC_PATTERNS, 'codec');
+  // Only trusted next to an audio codec - "Tron 2.0" isn't a channel layout
+  const audioChannels = audioCodec ? tail.match(/(?:^|\D)([1-7]\.[01])(?:ch)?(?!\.?\d)/)?.[1] || null : null;
+
+  // Without the group suffix, so groups like "-NL" or "-PL" aren't read as languages
+  const group = parseGroup(baseName);
+  const languageTail = tail.replace(/-([a-z0-9]+)(\s*\[[^\]]*\])?$/, (suffix, name) =>
+    name === group?.toLowerCase() ? '' : suffix);
+  const languages = [...new Set(LANGUAGE_PATTERNS.filter(p => p.pattern.test(languageTail)).map(p => p.language))];
+  const multiLanguage = /\b(multi|dual( audio)?)\b/.test(languageTail) || languages.length > 1;
+
+  const { seasons, episodes } = parseEpisodes(text);
+
+  return {
+    resolution,
+    resolutionLabel: getResolutionLabel(resolution),
+    source,
+    lowQualitySource: LOW_QUALITY_SOURCES.includes(source),
+    videoCodec: firstMatch(text, VIDEO_CODEC_PATTERNS, 'codec'),
+    hdr,
+    audioCodec,
+    audioChannels,
+    atmos: /\batmos\b/.test(tail),
+    languages,
+    multiLanguage,
+    group,
+    seasons,
+    episodes,
+    isSeasonPack: seasons.length > 0 && episodes.length === 0,
+    isSample: SAMPLE_PATTERN.test(tail),
+    isExtras: EXTRAS_PATTERN.test(tail)
+  };
+}
+
+/**
+ * Label for a resolution ("4K", "1080p", ...), or null when unknown
+ *
+ * @param {number} resolution - Height in lines
+ * @returns {string|null}
+ */
+function getResolutionLabel(resolution) {
+  return RESOLUTION_LABELS[resolution] || null;
+}
+
+/**
+ * Whether a parsed release should only be used when nothing else exists
+ * (CAM/TS/TC/screener, samples, trailers and other extras)
+ *
+ * @param {Object} release - Result of parseRelease
+ * @returns {boolean}
+ */
+function isUnwatchable(release) {
+  return release.lowQualitySource || release.isSample || release.isExtras;
+}
+
+module.exports = {
+  parseRelease,
+  getResolutionLabel,
+  isUnwatchable,
+  LOW_QUALITY_SOURCES
+};
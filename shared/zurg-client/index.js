@@ -9,6 +9,7 @@
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
+const { parseRelease, isUnwatchable } = require('@duckflix/release-parser');
 
 // Quality thresholds (MB per minute of content)
 const QUALITY_THRESHOLDS = {
@@ -27,15 +28,6 @@ const QUALITY_THRESHOLDS = {
   MOVIE_DURATION: 100
 };
 
-// Resolution parsing from filename
-const RESOLUTION_PATTERNS = [
-  { pattern: /2160p|4k|uhd/i, resolution: 2160, label: '4K' },
-  { pattern: /1080p|1080i|fullhd|fhd/i, resolution: 1080, label: '1080p' },
-  { pattern: /720p|hd/i, resolution: 720, label: '720p' },
-  { pattern: /480p|sd/i, resolution: 480, label: '480p' },
-  { pattern: /360p/i, resolution: 360, label: '360p' }
-];
-
 const VIDEO_EXTENSIONS = ['.mkv', '.mp4', '.avi', '.mov', '.webm', '.m4v'];
 
 /**
@@ -111,12 +103,8 @@ function generateTitleVariations(title, year) {
  * @returns {{resolution: number, label: string}} Resolution info
  */
 function parseResolution(filename) {
-  for (const { pattern, resolution, label } of RESOLUTION_PATTERNS) {
-    if (pattern.test(filename)) {
-      return { resolution, label };
-    }
-  }
-  return { resolution: 0, label: 'Unknown' };
+  const { resolution, resolutionLabel } = parseRelease(filename);
+  return { resolution, label: resolutionLabel || 'Unknown' };
 }
 
 /**
@@ -274,6 +262,15 @@ function estimateEpisodeDuration(showTitle) {
   return QUALITY_THRESHOLDS.EPISODE_DURATION.drama;
 }
 
+/**
+ * Sort order for matches: watchable releases first, then by quality score
+ * (mbPerMinute) descending. CAM/TS/screener rips, samples and extras go last.
+ */
+function byQuality(a, b) {
+  const unwatchable = isUnwatchable(a.release) - isUnwatchable(b.release);
+  return unwatchable || b.mbPerMinute - a.mbPerMinute;
+}
+
 /**
  * Recursively search directory for video files
  *
@@ -356,7 +353,7 @@ async function findTVEpisode(zurgMount, showTitle, season, episode, year) {
       const matchesEp = matchesTVEpisode(file.name, season, episode);
 
       if (matchesShow && matchesEp) {
-        const { resolution, label } = parseResolution(file.name);
+        const release = parseRelease(file.name);
         const quality = calculateQualityScore(file.size, estimatedDuration);
 
         matches.push({
@@ -366,8 +363,9 @@ async function findTVEpisode(zurgMount, showTitle, season, episode, year) {
           sizeMB: quality.sizeMB,
           mbPerMinute: quality.mbPerMinute,
           meetsQualityThreshold: quality.meetsThreshold,
-          resolution,
-          quality: label,
+          resolution: release.resolution,
+          quality: release.resolutionLabel || 'Unknown',
+          release,
           estimatedDuration,
           source: 'zurg'
         });
@@ -375,8 +373,7 @@ async function findTVEpisode(zurgMount, showTitle, season, episode, year) {
     }
   }
 
-  // Sort by quality score (mbPerMinute) descending
-  matches.sort((a, b) => b.mbPerMinute - a.mbPerMinute);
+  matches.sort(byQuality);
 
   return matches;
 }
@@ -417,7 +414,7 @@ async function findMovie(zurgMount, movieTitle, year) {
         true;
 
       if (matchesTitle && yearMatch) {
-        const { resolution, label } = parseResolution(file.name);
+        const release = parseRelease(file.name);
         const quality = calculateQualityScore(file.size, estimatedDuration);
 
         matches.push({
@@ -427,8 +424,9 @@ async function findMovie(zurgMount, movieTitle, year) {
           sizeMB: quality.sizeMB,
           mbPerMinute: quality.mbPerMinute,
           meetsQualityThreshold: quality.meetsThreshold,
-          resolution,
-          quality: label,
+          resolution: release.resolution,
+          quality: release.resolutionLabel || 'Unknown',
+          release,
           estimatedDuration,
           source: 'zurg'
         });
@@ -436,7 +434,7 @@ async function findMovie(zurgMount, movieTitle, year) {
     }
   }
 
-  matches.sort((a, b) => b.mbPerMinute - a.mbPerMinute);
+  matches.sort(byQuality);
 
   return matches;
 }
@@ -452,7 +450,7 @@ async function findMovie(zurgMount, movieTitle, year) {
  * @param {number} [options.episode] - Episode number (for TV)
  * @param {string} [options.tmdbId] - TMDB ID
  * @param {number} [options.episodeRuntime] - Actual episode runtime from TMDB
- * @returns {Promise<{match: Object|null, fallback: Object|null}>} Best match and fallback
+ * @returns {Promise<{match: Object|null, fallback: Object|null, matches: Object[]}>} Best match, fallback and every match found (best first)
  */
 async function findInZurgMount(options) {
   const { title, type, year, season, episode, tmdbId, episodeRuntime } = options;
@@ -462,14 +460,14 @@ async function findInZurgMount(options) {
 
   if (!zurgEnabled) {
     console.log('⏭️  ZURG: Disabled, skipping lookup');
-    return { match: null, fallback: null };
+    return { match: null, fallback: null, matches: [] };
   }
 
   try {
     await fs.access(zurgMount);
   } catch (err) {
     console.warn(`⚠️  ZURG: Mount not accessible at ${zurgMount}`);
-    return { match: null, fallback: null };
+    return { match: null, fallback: null, matches: [] };
   }
 
   const searchDesc = type === 'tv' ? `${title} S${season}E${episode}` : `${title} (${year})`;
@@ -488,7 +486,7 @@ async function findInZurgMount(options) {
         match.meetsQualityThreshold = quality.meetsThreshold;
         match.estimatedDuration = episodeRuntime;
       }
-      matches.sort((a, b) => b.mbPerMinute - a.mbPerMinute);
+      matches.sort(byQuality);
     }
   } else {
     matches = await findMovie(zurgMount, title, year);
@@ -496,33 +494,33 @@ async function findInZurgMount(options) {
 
   if (matches.length === 0) {
     console.log(`❌ ZURG: No matches found`);
-    return { match: null, fallback: null };
+    return { match: null, fallback: null, matches: [] };
   }
 
   // Log all matches
   console.log(`📋 ZURG: Found ${matches.length} potential match(es):`);
   for (const m of matches.slice(0, 8)) {
-    const status = m.meetsQualityThreshold ? '✅' : '❌';
+    const status = m.meetsQualityThreshold && !isUnwatchable(m.release) ? '✅' : '❌';
     console.log(`   ${status} ${m.sizeMB}MB (${m.mbPerMinute} MB/min) - ${m.quality} - ${m.fileName.substring(0, 55)}...`);
   }
   if (matches.length > 8) {
     console.log(`   ... and ${matches.length - 8} more`);
   }
 
-  // Find best quality match
-  const qualityMatch = matches.find(m => m.meetsQualityThreshold);
+  // Find best quality match (a big CAM rip or sample is never one)
+  const qualityMatch = matches.find(m => m.meetsQualityThreshold && !isUnwatchable(m.release));
 
   // Best garbage match (for fallback comparison)
   const fallbackMatch = !qualityMatch ? matches[0] : null;
 
   if (qualityMatch) {
     console.log(`✅ ZURG: Using ${qualityMatch.quality} at ${qualityMatch.mbPerMinute} MB/min`);
-    return { match: qualityMatch, fallback: null };
+    return { match: qualityMatch, fallback: null, matches };
   }
 
   // No quality match - return fallback for comparison
   console.log(`⚠️  ZURG: Best is only ${fallbackMatch.mbPerMinute} MB/min (need ${QUALITY_THRESHOLDS.MIN_MB_PER_MINUTE}+)`);
-  return { match: null, fallback: fallbackMatch };
+  return { match: null, fallback: fallbackMatch, matches };
 }
 
 /**